@@ -1,13 +1,21 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import * as XLSX from "xlsx";
 import Papa from "papaparse";
-import { Parser } from "expr-eval";
 import html2canvas from "html2canvas";
 import jsPDF from "jspdf";
 import {
   BarChart, Bar, LineChart, Line, PieChart, Pie, XAxis, YAxis,
   CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell
 } from "recharts";
+import {
+  COLUMN_TYPES, NUMERIC_TYPES, buildSchema, deriveSchema, createExcelParser, profileColumn, filterExprFor,
+  typeMismatches, evaluateMeasure, GROUP_AGGREGATORS, WINDOW_FUNCTIONS, WINDOW_OFFSET_FUNCTIONS,
+  FUNCTION_DOCS, tokenizeFormula, formulaError, columnRef, createMeasureParser, MEASURE_DOCS, pivotValues, valueLabel,
+  PIVOT_AGGREGATORS, COLUMN_FUNCTIONS,
+} from "./engine.js";
+import { importTableauXML, readTableauPackage } from "./tableau.js";
+import { importPowerBIModel } from "./powerbi.js";
+import { RECIPE_KIND, validateRecipe, remapSteps, parseRecipe } from "./recipes.js";
 
 const Button = ({ className = "", children, ...props }) => (
   <button
@@ -20,7 +28,7 @@ const Button = ({ className = "", children, ...props }) => (
 
 const SecondaryButton = ({ className = "", children, ...props }) => (
   <button
-    className={`px-3 py-2 rounded-2xl border border-slate-300 dark:border-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800 text-sm ${className}`}
+    className={`px-3 py-2 rounded-2xl border border-slate-300 dark:border-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800 text-sm disabled:opacity-40 disabled:hover:bg-transparent ${className}`}
     {...props}
   >
     {children}
@@ -55,6 +63,12 @@ const Card = ({ title, actions, children, className = "" }) => (
   </div>
 );
 
+const Modal = ({ title, actions, children }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-950/50">
+    <Card title={title} actions={actions} className="w-full max-w-4xl max-h-[90vh] overflow-auto">{children}</Card>
+  </div>
+);
+
 const Tag = ({ children }) => (
   <span className="text-[11px] px-2 py-1 rounded-full bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-700">
     {children}
@@ -71,6 +85,12 @@ const Spinner = () => (
   </div>
 );
 
+const ProgressBar = ({ done, total }) => (
+  <div className="h-1.5 w-32 rounded-full bg-slate-200 dark:bg-slate-800 overflow-hidden">
+    <div className="h-full bg-slate-900 dark:bg-slate-100 transition-all" style={{ width: `${total ? (done / total) * 100 : 0}%` }} />
+  </div>
+);
+
 const Alert = ({ kind = "error", message }) => {
   const colors =
     kind === "error"
@@ -93,23 +113,6 @@ Sudan,2024,1201,5440,North Africa
 Burkina Faso,2024,844,3160,West Africa
 Somalia,2024,760,1200,Horn of Africa`;
 
-function inferType(value) {
-  if (value === null || value === undefined || value === "") return "string";
-  if (!isNaN(Number(value))) return "number";
-  const d = new Date(value);
-  if (!isNaN(d.getTime())) return "date";
-  if (value === "true" || value === "false") return "boolean";
-  return "string";
-}
-
-function buildSchema(rows) {
-  const first = rows[0] || {};
-  return Object.keys(first).map((k) => {
-    const colType = inferType(first[k]);
-    return { name: k, type: colType };
-  });
-}
-
 function download(filename, text) {
   const blob = new Blob([text], { type: "application/octet-stream" });
   const url = URL.createObjectURL(blob);
@@ -129,11 +132,191 @@ function fromCSV(text) {
   return parsed.data;
 }
 
-function parseWorkbook(arrayBuffer) {
-  const wb = XLSX.read(arrayBuffer, { type: "array" });
-  const sheetName = wb.SheetNames[0];
-  const sheet = wb.Sheets[sheetName];
-  return XLSX.utils.sheet_to_json(sheet, { defval: "" });
+const CSV_DELIMITERS = [["", "Auto"], [",", "Comma"], [";", "Semicolon"], ["\t", "Tab"], ["|", "Pipe"]];
+const CSV_ENCODINGS = [["utf-8", "UTF-8"], ["windows-1252", "Windows-1252"], ["iso-8859-1", "ISO-8859-1"], ["utf-16le", "UTF-16 LE"], ["utf-16be", "UTF-16 BE"]];
+
+function sniffEncoding(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  return "utf-8";
+}
+
+function papaOptions(opts) {
+  return { delimiter: opts.delimiter || "", quoteChar: opts.quoteChar || '"', comments: opts.comments || false, skipEmptyLines: true };
+}
+
+// turns raw CSV records into row objects, honouring skipped rows and the header option,
+// and notes records that failed to parse or have the wrong number of fields
+function csvRecordReader({ skipRows = 0, header = true }) {
+  const rows = [];
+  const lines = [];
+  const issues = [];
+  let seen = 0;
+  let names = null;
+  const push = (fields, { line = null, raw = "", errors = [] } = {}) => {
+    if (seen++ < skipRows) return;
+    if (!names) {
+      names = header ? uniqueNames(fields.map((f, i) => String(f).trim() || `Column${i + 1}`)) : [];
+      if (header) return;
+    }
+    if (!header) while (names.length < fields.length) names.push(`Column${names.length + 1}`);
+    const problems = errors.map((e) => e.message);
+    if (header && fields.length !== names.length) problems.push(`Expected ${names.length} fields, found ${fields.length}`);
+    if (problems.length) issues.push({ row: rows.length, where: `line ${line}`, raw, problem: problems.join("; ") });
+    rows.push(Object.fromEntries(names.map((n, i) => [n, fields[i] ?? ""])));
+    lines.push(line);
+  };
+  return { rows, lines, issues, push };
+}
+
+function countNewlines(s) {
+  let n = 0;
+  for (let i = 0; i < s.length; i++) if (s.charCodeAt(i) === 10) n++;
+  return n;
+}
+
+// parses text record by record so each one reaches the reader with its starting line
+// number (firstLine is the line text starts on) and its raw source; returns Papa's meta
+function parseCSVText(text, config, reader, firstLine = 1) {
+  let pos = 0;
+  let line = firstLine;
+  let meta = {};
+  Papa.parse(text, {
+    ...config,
+    step: (res) => {
+      meta = res.meta;
+      const chunk = text.slice(pos, res.meta.cursor);
+      const raw = chunk.replace(/\r?\n$/, "");
+      const endLine = line + countNewlines(raw);
+      const inner = Math.min(countNewlines(raw), res.data.reduce((n, f) => n + countNewlines(String(f)), 0));
+      reader.push(res.data, { line: endLine - inner, raw: raw.split("\n").slice(-inner - 1).join("\n"), errors: res.errors });
+      line += countNewlines(chunk);
+      pos = res.meta.cursor;
+    },
+  });
+  return meta;
+}
+
+// end of the last complete record, so a quoted field spanning chunks is never cut
+function lastRecordBreak(text, quoteChar) {
+  const q = quoteChar.charCodeAt(0);
+  let inQuotes = false;
+  let cut = -1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    if (ch === q) inQuotes = !inQuotes;
+    else if (ch === 10 && !inQuotes) cut = i + 1;
+  }
+  return cut;
+}
+
+// bytes is the head of the file; unless it is the whole file the trailing partial record is dropped
+function previewCSV(bytes, opts, whole = false, limit = 20) {
+  const text = new TextDecoder(opts.encoding || "utf-8").decode(bytes);
+  const cut = whole ? -1 : lastRecordBreak(text, opts.quoteChar || '"');
+  const reader = csvRecordReader(opts);
+  const config = { ...papaOptions(opts), preview: limit + (opts.skipRows || 0) + 1 };
+  const meta = parseCSVText(cut > 0 ? text.slice(0, cut) : text, config, reader);
+  return { rows: reader.rows.slice(0, limit), delimiter: meta.delimiter };
+}
+
+// reads the file in slices with a streaming decoder so multi-byte characters and
+// quoted fields that straddle a slice boundary survive; onProgress gets 0..1
+async function streamCSV(file, opts, onProgress, chunkSize = 4 * 1024 * 1024) {
+  const decoder = new TextDecoder(opts.encoding || "utf-8");
+  const config = papaOptions(opts);
+  const reader = csvRecordReader(opts);
+  let buffer = "";
+  let line = 1;
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    const bytes = new Uint8Array(await file.slice(offset, offset + chunkSize).arrayBuffer());
+    buffer += decoder.decode(bytes, { stream: true });
+    const cut = lastRecordBreak(buffer, config.quoteChar);
+    if (cut > 0) {
+      const text = buffer.slice(0, cut);
+      parseCSVText(text, config, reader, line);
+      line += countNewlines(text);
+      buffer = buffer.slice(cut);
+    }
+    onProgress?.(Math.min(1, (offset + chunkSize) / file.size));
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) parseCSVText(buffer, config, reader, line);
+  return { rows: reader.rows, lines: reader.lines, issues: reader.issues };
+}
+
+// JSON rows must be flat objects; anything else is reported, and missing keys are blank-filled
+function checkJsonRows(items) {
+  if (!Array.isArray(items)) throw new Error("JSON import expects an array of row objects.");
+  const cols = [];
+  const seen = new Set();
+  for (const it of items) {
+    if (it && typeof it === "object" && !Array.isArray(it)) for (const k of Object.keys(it)) if (!seen.has(k)) { seen.add(k); cols.push(k); }
+  }
+  const rows = [];
+  const issues = [];
+  items.forEach((it, i) => {
+    const where = `item ${i + 1}`;
+    const raw = JSON.stringify(it)?.slice(0, 500) ?? String(it);
+    if (!it || typeof it !== "object" || Array.isArray(it)) {
+      issues.push({ row: -1, where, raw, problem: "Not an object, skipped" });
+      return;
+    }
+    const problems = [];
+    const missing = cols.filter((c) => !(c in it));
+    if (missing.length) problems.push(`Missing fields: ${missing.join(", ")}`);
+    const nested = cols.filter((c) => it[c] !== null && typeof it[c] === "object");
+    if (nested.length) problems.push(`Nested values in: ${nested.join(", ")}`);
+    if (problems.length) issues.push({ row: rows.length, where, raw, problem: problems.join("; ") });
+    rows.push(Object.fromEntries(cols.map((c) => [c, it[c] === null || it[c] === undefined ? "" : typeof it[c] === "object" ? JSON.stringify(it[c]) : it[c]])));
+  });
+  return { rows, issues };
+}
+
+function readWorkbook(arrayBuffer) {
+  return XLSX.read(arrayBuffer, { type: "array" });
+}
+
+// raw cell grid for a sheet, optionally limited to an A1 range; merged cells can be
+// flattened so every cell they cover carries the merged value
+function sheetGrid(sheet, range = "", flattenMerged = false) {
+  const ref = range.trim().toUpperCase() || sheet["!ref"];
+  if (!ref) return [];
+  if (!/^[A-Z]+\d+(:[A-Z]+\d+)?$/.test(ref)) throw new Error(`Invalid range: ${range}`);
+  const bounds = XLSX.utils.decode_range(ref);
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, range: bounds, defval: "", blankrows: true });
+  if (flattenMerged) {
+    for (const m of sheet["!merges"] || []) {
+      const v = sheet[XLSX.utils.encode_cell(m.s)]?.v ?? "";
+      for (let r = Math.max(m.s.r, bounds.s.r); r <= Math.min(m.e.r, bounds.e.r); r++) {
+        const row = grid[r - bounds.s.r];
+        if (!row) continue;
+        for (let c = Math.max(m.s.c, bounds.s.c); c <= Math.min(m.e.c, bounds.e.c); c++) row[c - bounds.s.c] = v;
+      }
+    }
+  }
+  return grid;
+}
+
+// headerRow is 1-based within the range; 0 means the range has no header row
+function readSheet(sheet, { range = "", headerRow = 1, flattenMerged = false } = {}) {
+  const grid = sheetGrid(sheet, range, flattenMerged);
+  const header = headerRow > 0 ? grid[headerRow - 1] || [] : [];
+  const body = grid.slice(Math.max(headerRow, 0));
+  const width = body.reduce((w, r) => Math.max(w, r.length), header.length);
+  const names = uniqueNames(Array.from({ length: width }, (_, c) => String(header[c] ?? "").trim() || `Column${c + 1}`));
+  return body
+    .filter((r) => r.some((v) => v !== ""))
+    .map((r) => Object.fromEntries(names.map((n, c) => [n, r[c] ?? ""])));
+}
+
+function uniqueNames(names) {
+  const seen = new Map();
+  return names.map((n) => {
+    const k = (seen.get(n) || 0) + 1;
+    seen.set(n, k);
+    return k > 1 ? `${n}_${k}` : n;
+  });
 }
 
 function exportXLSX(rows, filename = "export.xlsx") {
@@ -143,10 +326,6 @@ function exportXLSX(rows, filename = "export.xlsx") {
   XLSX.writeFile(wb, filename);
 }
 
-function deepClone(obj) {
-  return JSON.parse(JSON.stringify(obj));
-}
-
 // share state via location.hash
 function encodeState(state) {
   try { return btoa(unescape(encodeURIComponent(JSON.stringify(state)))); }
@@ -157,149 +336,216 @@ function decodeState(hash) {
   catch { return null; }
 }
 
-// Excel-like function parser bound to current rows
-function createExcelParser(rowsRef) {
-  const parser = new Parser();
-
-  const toNum = (v) => {
-    if (typeof v === "number") return v;
-    if (v === true) return 1;
-    if (v === false || v === null || v === undefined || v === "") return 0;
-    const s = String(v).replace(/,/g, "").trim();
-    const n = Number(s);
-    return isNaN(n) ? 0 : n;
-  };
-  const toStr = (v) => (v === null || v === undefined ? "" : String(v));
-  const toDate = (v) => (v instanceof Date ? v : new Date(v));
-
-  // logical
-  parser.functions.IF = (c, a, b) => (c ? a : b);
-  parser.functions.AND = (...xs) => xs.every(Boolean);
-  parser.functions.OR  = (...xs) => xs.some(Boolean);
-  parser.functions.NOT = (x) => !x;
-
-  // type
-  parser.functions.ISBLANK = (x) => x === null || x === undefined || x === "";
-  parser.functions.ISNUMBER = (x) => typeof x === "number" || (!isNaN(Number(String(x).replace(/,/g, ""))));
-  parser.functions.ISTEXT = (x) => typeof x === "string";
-  parser.functions.N = (x) => toNum(x);
-
-  // math
-  parser.functions.ABS = Math.abs;
-  parser.functions.ROUND = (x, d = 0) => { const p = Math.pow(10, d); return Math.round(toNum(x) * p) / p; };
-  parser.functions.FLOOR = (x) => Math.floor(toNum(x));
-  parser.functions.CEILING = (x) => Math.ceil(toNum(x));
-  parser.functions.MIN = (...xs) => Math.min(...xs.map(toNum));
-  parser.functions.MAX = (...xs) => Math.max(...xs.map(toNum));
-  parser.functions.SQRT = Math.sqrt;
-
-  // text
-  parser.functions.LEN = (t) => toStr(t).length;
-  parser.functions.LEFT = (t, n) => toStr(t).slice(0, n);
-  parser.functions.RIGHT = (t, n) => toStr(t).slice(-n);
-  parser.functions.MID = (t, s, n) => toStr(t).substr(Math.max(0, s - 1), n);
-  parser.functions.UPPER = (t) => toStr(t).toUpperCase();
-  parser.functions.LOWER = (t) => toStr(t).toLowerCase();
-  parser.functions.PROPER = (t) => toStr(t).replace(/\\w\\S*/g, (w) => w[0].toUpperCase() + w.slice(1).toLowerCase());
-  parser.functions.TRIM = (t) => toStr(t).trim().replace(/\\s+/g, " ");
-  parser.functions.CONCAT  = (...xs) => xs.map(toStr).join("");
-  parser.functions.CONCATENATE = (...xs) => xs.map(toStr).join("");
-  parser.functions.TEXTJOIN = (d, ignoreEmpty, ...xs) => xs.filter((x) => !ignoreEmpty || !parser.functions.ISBLANK(x)).map(toStr).join(d);
-  parser.functions.SUBSTITUTE = (t, oldS, newS) => toStr(t).split(toStr(oldS)).join(toStr(newS));
-
-  // dates
-  parser.functions.TODAY = () => new Date();
-  parser.functions.NOW = () => new Date();
-  parser.functions.DATE = (y, m, d) => new Date(y, m - 1, d);
-  parser.functions.YEAR = (x) => toDate(x).getFullYear();
-  parser.functions.MONTH = (x) => toDate(x).getMonth() + 1;
-  parser.functions.DAY = (x) => toDate(x).getDate();
-  parser.functions.DATEDIF = (a, b, unit) => {
-    const d1 = toDate(a), d2 = toDate(b);
-    const diffMs = d2 - d1; const day = 1000*60*60*24;
-    if (unit === "d") return Math.floor(diffMs / day);
-    if (unit === "m") return Math.floor((d2.getFullYear() - d1.getFullYear())*12 + (d2.getMonth() - d1.getMonth()));
-    if (unit === "y") return d2.getFullYear() - d1.getFullYear();
-    return Math.floor(diffMs / day);
-  };
+// Pipeline, pivot and chart results computed in a worker. Every input change starts a
+// new run id after a short debounce; results and progress from older runs are dropped.
+// A failed run keeps the last good result and reports its message as runError.
+function usePipelineWorker({ datasets, activeName, pipeline, preview, pivot, chartSpec, measures }, debounceMs = 300) {
+  const workerRef = useRef(null);
+  const runRef = useRef(0);
+  const sentRef = useRef([]);
+  const [result, setResult] = useState({ rows: [], steps: [], preview: null, pivot: null, chart: [], chartError: null });
+  const [progress, setProgress] = useState(null);
+  const [runError, setRunError] = useState("");
 
-  // criteria builder for *IF functions
-  const buildCriteria = (crit) => {
-    const s = String(crit).trim();
-    const ops = [">=","<=",">","<","=","!="];
-    for (const op of ops) {
-      if (s.startsWith(op)) {
-        const rhsRaw = s.slice(op.length).trim();
-        const rhs = rhsRaw.replace(/^"|"$/g, "");
-        return (v) => {
-          const a = toNum(v);
-          const b = toNum(rhsRaw);
-          if (op === ">=") return a >= b;
-          if (op === "<=") return a <= b;
-          if (op === ">") return a > b;
-          if (op === "<") return a < b;
-          if (op === "=") return String(v) === rhs;
-          if (op === "!=") return String(v) !== rhs;
-          return false;
-        };
-      }
+  useEffect(() => {
+    const worker = new Worker(new URL("./pipeline.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== runRef.current) return;
+      if (msg.type === "progress") setProgress({ done: msg.done, total: msg.total });
+      else if (msg.type === "result") { setResult(msg); setRunError(""); setProgress(null); }
+      else if (msg.type === "error") { setRunError(msg.message); setProgress(null); }
+    };
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
+
+  // only ship rows when a dataset was added, removed or reloaded, not on schema edits
+  useEffect(() => {
+    const prev = sentRef.current;
+    const same = prev.length === datasets.length && datasets.every((d, i) => prev[i].name === d.name && prev[i].rows === d.rows);
+    if (same) return;
+    sentRef.current = datasets.map((d) => ({ name: d.name, rows: d.rows }));
+    workerRef.current.postMessage({ type: "data", datasets: sentRef.current });
+  }, [datasets]);
+
+  useEffect(() => {
+    const id = ++runRef.current;
+    workerRef.current.postMessage({ type: "cancel", id });
+    setProgress({ done: 0, total: pipeline.length });
+    const t = setTimeout(() => workerRef.current.postMessage({ type: "run", id, activeName, pipeline, preview, pivot, chartSpec, measures }), debounceMs);
+    return () => clearTimeout(t);
+  }, [datasets, activeName, pipeline, preview, pivot, chartSpec, measures]);
+
+  return { ...result, progress, runError };
+}
+
+// label for the difference between two project snapshots, or "" when nothing tracked changed
+function describeChange(prev, next) {
+  if (prev.datasets !== next.datasets) {
+    const before = new Set(prev.datasets.map((d) => d.name));
+    const after = new Set(next.datasets.map((d) => d.name));
+    const added = next.datasets.filter((d) => !before.has(d.name));
+    const removed = prev.datasets.filter((d) => !after.has(d.name));
+    if (added.length) return `Load ${added.map((d) => d.name).join(", ")}`;
+    if (removed.length) return `Remove dataset ${removed.map((d) => d.name).join(", ")}`;
+    const changed = next.datasets.find((d) => !prev.datasets.includes(d));
+    if (changed) return `Update dataset ${changed.name}`;
+  }
+  if (prev.activeDataset !== next.activeDataset) return `Use dataset ${next.activeDataset}`;
+  if (prev.pipeline !== next.pipeline) {
+    const a = prev.pipeline, b = next.pipeline;
+    const stepName = (st) => (st.type === "mutate" ? `calculated field ${st.as}` : `${st.type} step`);
+    if (b.length === a.length + 1) {
+      const k = b.findIndex((st) => !a.includes(st));
+      if (k >= 0 && b.filter((st) => !a.includes(st)).length === 1) return `Add ${stepName(b[k])}`;
     }
-    const needle = s.replace(/^\\*=|^\\=|^contains:/i, "");
-    return (v) => toStr(v).toLowerCase().includes(needle.toLowerCase());
-  };
+    if (b.length === a.length - 1) {
+      const gone = a.find((st) => !b.includes(st));
+      if (gone) return `Remove ${stepName(gone)}`;
+    }
+    if (!b.length) return "Clear pipeline";
+    if (a.length === b.length && a.every((st) => b.includes(st))) {
+      const k = b.findIndex((st, i) => st !== a[i]);
+      return k < 0 ? "" : `Move ${stepName(b[k])}`;
+    }
+    const k = b.findIndex((st, i) => st !== a[i]);
+    if (k >= 0 && a.length === b.length) return `Edit step ${k + 1} (${b[k].type})`;
+    return "Change pipeline";
+  }
+  if (prev.pivot !== next.pivot) return "Edit pivot";
+  if (prev.chartSpec !== next.chartSpec) return "Edit chart";
+  if (prev.chartPresets !== next.chartPresets) return "Load chart presets";
+  if (prev.model !== next.model) return "Edit model";
+  return "";
+}
 
-  parser.functions.SUMIF = (col, criteria, sumCol) => {
-    const pred = buildCriteria(criteria);
-    return rowsRef.reduce((acc, r) => acc + (pred(r[col]) ? toNum(sumCol ? r[sumCol] : r[col]) : 0), 0);
-  };
-  parser.functions.COUNTIF = (col, criteria) => {
-    const pred = buildCriteria(criteria);
-    return rowsRef.reduce((acc, r) => acc + (pred(r[col]) ? 1 : 0), 0);
-  };
-  parser.functions.AVERAGEIF = (col, criteria, avgCol) => {
-    const pred = buildCriteria(criteria);
-    let sum = 0, n = 0;
-    for (const r of rowsRef) {
-      if (pred(r[col])) { sum += toNum(avgCol ? r[avgCol] : r[col]); n++; }
+// Undo/redo over project snapshots. Every tracked change becomes a labelled entry;
+// repeats of the same label within coalesceMs (typing into one field) merge into
+// the latest entry. apply(snapshot) restores the state of an entry.
+function useHistory(snapshot, apply, { limit = 100, coalesceMs = 1000 } = {}) {
+  const [history, setHistory] = useState(() => ({ entries: [{ label: "Start", snap: snapshot, at: 0 }], index: 0 }));
+  const restoringRef = useRef(null);
+  const same = (a, b) => Object.keys(a).every((k) => a[k] === b[k]);
+
+  useEffect(() => {
+    if (restoringRef.current) {
+      if (same(snapshot, restoringRef.current)) { restoringRef.current = null; return; }
     }
-    return n ? sum / n : 0;
+    setHistory(({ entries, index }) => {
+      const label = describeChange(entries[index].snap, snapshot);
+      if (!label) return { entries, index };
+      const now = Date.now();
+      const top = entries[index];
+      if (index > 0 && index === entries.length - 1 && top.label === label && now - top.at < coalesceMs) {
+        return { entries: [...entries.slice(0, index), { label, snap: snapshot, at: now }], index };
+      }
+      const next = [...entries.slice(0, index + 1), { label, snap: snapshot, at: now }].slice(-limit);
+      return { entries: next, index: next.length - 1 };
+    });
+  }, [snapshot]);
+
+  const jump = (k) => {
+    const entry = history.entries[k];
+    if (!entry || k === history.index) return;
+    restoringRef.current = entry.snap;
+    apply(entry.snap);
+    setHistory((h) => ({ ...h, index: k }));
   };
-
-  parser.functions.LOOKUP = (key, keyCol, retCol) => {
-    const row = rowsRef.find((r) => String(r[keyCol]) === String(key));
-    return row ? row[retCol] : null;
+  return {
+    entries: history.entries,
+    index: history.index,
+    jump,
+    undo: () => jump(history.index - 1),
+    redo: () => jump(history.index + 1),
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
   };
+}
 
-  return parser;
+// the recipe library lives in the browser, apart from any project
+const RECIPES_KEY = "qbi.recipes";
+function loadRecipes() {
+  try { return JSON.parse(localStorage.getItem(RECIPES_KEY)) || []; }
+  catch { return []; }
 }
 
+// measures, relationships and hierarchies brought in from a Power BI model
+const EMPTY_MODEL = { measures: [], relationships: [], hierarchies: [] };
+
 export default function App() {
   const [theme, setTheme] = useState("light");
   const [error, setError] = useState("");
   const [busy, setBusy] = useState(false);
 
-  const [rows, setRows] = useState([]);
-  const [schema, setSchema] = useState([]);
+  const [datasets, setDatasets] = useState([]);
+  const [activeDataset, setActiveDataset] = useState("");
   const [name, setName] = useState("Untitled Project");
 
+  const active = datasets.find((d) => d.name === activeDataset) || datasets[0];
+  const rows = active ? active.rows : [];
+  const schema = active ? active.schema : [];
+
   const [pipeline, setPipeline] = useState([]);
   const [calcExpr, setCalcExpr] = useState("");
   const [calcName, setCalcName] = useState("");
+  const [previewStep, setPreviewStep] = useState(null);
 
   const [tab, setTab] = useState("data");
   const [chartSpec, setChartSpec] = useState({ type: "bar", x: "country", y: "events", series: "", agg: "sum" });
-  const [pivot, setPivot] = useState({ rows: ["country"], cols: ["year"], value: "events", agg: "sum" });
+  const [pivot, setPivot] = useState({ rows: ["country"], cols: ["year"], values: [{ field: "events", agg: "sum" }], valuesOn: "columns", layout: "outline" });
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
+  const [pendingCsv, setPendingCsv] = useState(null);
+  const [importProgress, setImportProgress] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [chartPresets, setChartPresets] = useState([]);
+  const [translation, setTranslation] = useState(null);
+  const [model, setModel] = useState(EMPTY_MODEL);
+  const [recipes, setRecipes] = useState(loadRecipes);
+  const [pendingRecipe, setPendingRecipe] = useState(null);
+
+  useEffect(() => { localStorage.setItem(RECIPES_KEY, JSON.stringify(recipes)); }, [recipes]);
+
+  const snapshot = useMemo(
+    () => ({ datasets, activeDataset, pipeline, pivot, chartSpec, chartPresets, model }),
+    [datasets, activeDataset, pipeline, pivot, chartSpec, chartPresets, model],
+  );
+  const history = useHistory(snapshot, (snap) => {
+    setDatasets(snap.datasets);
+    setActiveDataset(snap.activeDataset);
+    setPipeline(snap.pipeline);
+    setPivot(snap.pivot);
+    setChartSpec(snap.chartSpec);
+    setChartPresets(snap.chartPresets);
+    setModel(snap.model);
+  });
+
+  // text fields keep their own undo; the listener is bound once and reads the latest history
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      e.preventDefault();
+      if (e.shiftKey) historyRef.current.redo();
+      else historyRef.current.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   useEffect(() => {
     const hash = location.hash.replace(/^#/, "");
     if (hash) {
       const st = decodeState(hash);
-      if (st && st.rows) {
-        setRows(st.rows);
-        setSchema(st.schema || buildSchema(st.rows));
+      if (st && (st.datasets || st.rows)) {
+        restoreDatasets(st);
         setName(st.name || "Untitled Project");
         setPipeline(st.pipeline || []);
         setChartSpec(st.chartSpec || chartSpec);
+        setChartPresets(st.chartPresets || []);
+        setModel({ ...EMPTY_MODEL, ...st.model });
         setPivot(st.pivot || pivot);
       }
     }
@@ -308,7 +554,7 @@ export default function App() {
   useEffect(() => { document.documentElement.classList.toggle("dark", theme === "dark"); }, [theme]);
 
   const shareState = () => {
-    const st = { rows, schema, name, pipeline, chartSpec, pivot };
+    const st = { datasets, activeDataset: active?.name || "", name, pipeline, chartSpec, chartPresets, model, pivot };
     const hash = encodeState(st);
     if (hash) {
       location.hash = hash;
@@ -317,27 +563,87 @@ export default function App() {
     }
   };
 
+  // datasets are keyed by name; loading one with an existing name replaces it.
+  // report carries parse issues and, for CSV, the source line of every row
+  const addDataset = (dsName, data, dsSchema = buildSchema(data), report = {}) => {
+    setDatasets((ds) => [...ds.filter((d) => d.name !== dsName), { name: dsName, rows: data, schema: dsSchema }]);
+    setActiveDataset(dsName);
+    const issues = [
+      ...(report.issues || []),
+      ...typeMismatches(data, dsSchema).map((m) => ({
+        row: m.row,
+        col: m.col,
+        where: report.lines ? `line ${report.lines[m.row]}` : `row ${m.row + 1}`,
+        raw: Papa.unparse([Object.values(data[m.row])]),
+        problem: `Expected ${m.expected} in ${m.col}, found "${m.value}"`,
+      })),
+    ];
+    setDiagnostics((ds) => [...ds.filter((d) => d.dataset !== dsName), ...(issues.length ? [{ dataset: dsName, issues }] : [])]);
+  };
+
+  const removeDataset = (dsName) => {
+    setDatasets((ds) => ds.filter((d) => d.name !== dsName));
+    dismissDiagnostics(dsName);
+  };
+
+  const dismissDiagnostics = (dsName) => setDiagnostics((ds) => ds.filter((d) => d.dataset !== dsName));
+
+  // drop: remove every row with an issue; blank: clear the offending cells, pad ragged
+  // records to the dataset's columns with blanks, drop their extra fields and keep the rows
+  const resolveDiagnostics = (report, mode) => {
+    const bad = new Set(report.issues.map((i) => i.row));
+    const cells = report.issues.filter((i) => i.col);
+    const records = report.issues.filter((i) => !i.col && i.row >= 0);
+    setDatasets((ds) => ds.map((d) => {
+      if (d.name !== report.dataset) return d;
+      let next = d.rows;
+      if (mode === "drop") next = next.filter((_, i) => !bad.has(i));
+      else {
+        next = [...next];
+        const names = d.schema.map((s) => s.name);
+        for (const r of records) next[r.row] = Object.fromEntries(names.map((n) => [n, next[r.row][n] ?? ""]));
+        for (const c of cells) next[c.row] = { ...next[c.row], [c.col]: "" };
+      }
+      const fresh = buildSchema(next);
+      return { ...d, rows: next, schema: fresh.map((f) => d.schema.find((s) => s.name === f.name && s.override) || f) };
+    }));
+    dismissDiagnostics(report.dataset);
+  };
+
+  const downloadRejects = (report) => {
+    const rejects = report.issues.map(({ where, problem, raw }) => ({ where, problem, raw }));
+    download(`${report.dataset.replace(/\s+/g, "_")}_rejects.csv`, toCSV(rejects));
+  };
+
+  // accepts both the multi-dataset shape and the older single rows/schema shape
+  const restoreDatasets = (obj) => {
+    const list = obj.datasets || [{ name: "data", rows: obj.rows || [], schema: obj.schema }];
+    setDatasets(list.map((d) => ({ name: d.name, rows: d.rows || [], schema: d.schema || buildSchema(d.rows || []) })));
+    setActiveDataset(obj.activeDataset || list[0]?.name || "");
+  };
+
   const onUpload = async (file) => {
     try {
       setBusy(true);
       setError("");
       const ext = file.name.split(".").pop().toLowerCase();
+      const dsName = file.name.replace(/\.[^.]+$/, "");
+      if (ext === "csv" || ext === "tsv" || ext === "txt") { setPendingCsv({ name: dsName, file }); return; }
       const buf = await file.arrayBuffer();
       let data = [];
-      if (ext === "csv") data = fromCSV(new TextDecoder().decode(new Uint8Array(buf)));
-      else if (ext === "xlsx" || ext === "xls") data = parseWorkbook(buf);
-      else if (ext === "json") data = JSON.parse(new TextDecoder().decode(new Uint8Array(buf)));
-      else if (ext === "twb" || ext === "tds" || ext === "xml") data = importTableauXML(new TextDecoder().decode(new Uint8Array(buf)));
-      else if (ext === "pbi.json" || ext === "bim" || ext === "pbit" || ext === "pbids") data = importPbiShim(new TextDecoder().decode(new Uint8Array(buf)));
-      else throw new Error("Unsupported file type. Use CSV, XLSX, JSON, or Tableau XML.");
-
-      if (!Array.isArray(data)) {
-        setSchema(data.schema || []);
-        setRows([]);
-      } else {
-        setRows(data);
-        setSchema(buildSchema(data));
+      let report;
+      if (ext === "xlsx" || ext === "xls") { setPendingWorkbook({ name: dsName, wb: readWorkbook(buf) }); return; }
+      else if (ext === "twbx" || ext === "tdsx") { await importPackagedTableau(file.name, dsName, buf); return; }
+      else if (ext === "json") { report = checkJsonRows(JSON.parse(new TextDecoder().decode(new Uint8Array(buf)))); data = report.rows; }
+      else if (ext === "twb" || ext === "tds" || ext === "xml") {
+        data = importTableauXML(new TextDecoder().decode(new Uint8Array(buf)));
+        applyTranslation(file.name, data);
       }
+      else if (ext === "bim" || ext === "pbit" || ext === "pbids") { importPowerBI(file.name, new TextDecoder().decode(new Uint8Array(buf))); return; }
+      else throw new Error("Unsupported file type. Use CSV, XLSX, JSON, a Tableau workbook or a Power BI model.");
+
+      if (!Array.isArray(data)) addDataset(dsName, [], data.schema || []);
+      else addDataset(dsName, data, undefined, report);
     } catch (e) {
       console.error(e);
       setError(e.message || String(e));
@@ -346,120 +652,112 @@ export default function App() {
     }
   };
 
-  const loadSample = () => {
-    const data = fromCSV(sampleCSV);
-    setRows(data);
-    setSchema(buildSchema(data));
+  const importSheets = (sheets) => {
+    const { name: base, wb } = pendingWorkbook;
+    try {
+      for (const [sheetName, opts] of sheets) {
+        addDataset(sheets.length > 1 ? `${base}/${sheetName}` : base, readSheet(wb.Sheets[sheetName], opts));
+      }
+      setPendingWorkbook(null);
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+
+  // steps and charts recovered from a BI tool file join the current project
+  const applyTranslation = (source, { steps = [], charts = [], measures = [], report = [] }) => {
+    if (steps.length) setPipeline((p) => [...p, ...steps]);
+    if (charts.length) {
+      setChartPresets(charts);
+      setChartSpec(charts[0].spec);
+    }
+    if (measures.length) {
+      const names = new Set(measures.map((m) => m.name));
+      setModel((m) => ({ ...m, measures: [...m.measures.filter((x) => !names.has(x.name)), ...measures] }));
+    }
+    setTranslation({ source, translated: steps.length + charts.length + measures.length, items: report });
   };
 
-  // pipeline executor with Excel-like steps
-  const applyPipeline = (inputRows) => {
-    let out = deepClone(inputRows);
-    for (const step of pipeline) {
-      try {
-        if (step.type === "filter") {
-          const p = createExcelParser(out);
-          out = out.filter((r) => !!p.parse(step.expr).evaluate(r));
-        } else if (step.type === "select") {
-          out = out.map((r) => {
-            const nr = {};
-            step.fields.forEach((f) => (nr[f] = r[f]));
-            return nr;
-          });
-        } else if (step.type === "sort") {
-          const { by, dir } = step;
-          out.sort((a, b) => {
-            if (a[by] < b[by]) return dir === "asc" ? -1 : 1;
-            if (a[by] > b[by]) return dir === "asc" ? 1 : -1;
-            return 0;
-          });
-        } else if (step.type === "dedupe") {
-          const seen = new Set();
-          out = out.filter((r) => {
-            const key = step.keys.map((k) => r[k]).join("|");
-            if (seen.has(key)) return false;
-            seen.add(key);
-            return true;
-          });
-        } else if (step.type === "mutate") {
-          const p = createExcelParser(out);
-          out = out.map((r) => ({ ...r, [step.as]: p.parse(step.expr).evaluate(r) }));
-        } else if (step.type === "fill") {
-          for (const col of step.cols) {
-            if (step.direction === "down") {
-              let last = null;
-              out = out.map((r) => {
-                const v = r[col];
-                if (v !== null && v !== undefined && v !== "") last = v;
-                else if (last !== null) r[col] = last;
-                return r;
-              });
-            } else {
-              let last = null;
-              for (let i = out.length - 1; i >= 0; i--) {
-                const v = out[i][col];
-                if (v !== null && v !== undefined && v !== "") last = v;
-                else if (last !== null) out[i][col] = last;
-              }
-            }
-          }
-        } else if (step.type === "replace") {
-          const { col, find, withVal, mode = "exact", caseSensitive = false } = step;
-          const cmp = (x) => {
-            if (mode === "regex") {
-              const re = new RegExp(find, caseSensitive ? "g" : "gi");
-              return String(x ?? "").replace(re, withVal);
-            }
-            if (mode === "contains") {
-              const a = caseSensitive ? String(x) : String(x).toLowerCase();
-              const b = caseSensitive ? find : String(find).toLowerCase();
-              return a.includes(b) ? String(x).split(find).join(withVal) : x;
-            }
-            return String(x) === String(find) ? withVal : x;
-          };
-          out = out.map((r) => ({ ...r, [col]: cmp(r[col]) }));
-        } else if (step.type === "toNumber") {
-          const cols = step.cols || [];
-          out = out.map((r) => {
-            const nr = { ...r };
-            for (const c of cols) nr[c] = Number(String(nr[c]).replace(/,/g, ""));
-            return nr;
-          });
-        } else if (step.type === "toDate") {
-          const cols = step.cols || [];
-          out = out.map((r) => {
-            const nr = { ...r };
-            for (const c of cols) nr[c] = new Date(nr[c]);
-            return nr;
-          });
-        } else if (step.type === "trim") {
-          const cols = step.cols || [];
-          out = out.map((r) => {
-            const nr = { ...r };
-            for (const c of cols) nr[c] = String(nr[c] ?? "").trim().replace(/\s+/g, " ");
-            return nr;
-          });
-        } else if (step.type === "split") {
-          const { col, delim = ",", intoPrefix = `${step.col}_part`, count = 2, dropOriginal = false } = step;
-          out = out.map((r) => {
-            const parts = String(r[col] ?? "").split(delim);
-            const nr = { ...r };
-            for (let i = 0; i < count; i++) nr[`${intoPrefix}${i + 1}`] = parts[i] ?? "";
-            if (dropOriginal) delete nr[col];
-            return nr;
-          });
-        } else if (step.type === "merge") {
-          const { cols, into = "merged", delim = " " } = step;
-          out = out.map((r) => ({ ...r, [into]: (cols || []).map((c) => r[c] ?? "").join(delim) }));
+  // model tables arrive as empty datasets; loading data under the same names fills them
+  const importPowerBI = (source, jsonText) => {
+    const result = importPowerBIModel(jsonText);
+    for (const t of result.tables) {
+      if (!datasets.some((d) => d.name === t.name)) addDataset(t.name, [], t.schema);
+    }
+    setActiveDataset(result.primary);
+    setModel((m) => ({ ...m, relationships: result.relationships, hierarchies: result.hierarchies }));
+    applyTranslation(source, result);
+  };
+
+  // .twbx / .tdsx are zip archives holding the workbook XML plus any file-based data
+  const importPackagedTableau = async (source, dsName, buf) => {
+    const entries = readTableauPackage(buf);
+    const doc = entries.find((e) => /\.(twb|tds)$/i.test(e.path) && !e.path.includes("/")) || entries.find((e) => /\.(twb|tds)$/i.test(e.path));
+    if (!doc) throw new Error("No .twb or .tds file found inside the package.");
+    const result = importTableauXML(new TextDecoder().decode(doc.content));
+    const report = [...result.report];
+    const loaded = [];
+    for (const e of entries) {
+      const file = e.path.split("/").pop();
+      const ext = file.split(".").pop().toLowerCase();
+      const base = file.replace(/\.[^.]+$/, "");
+      if (ext === "csv" || ext === "tsv" || ext === "txt") {
+        const opts = { header: true, encoding: sniffEncoding(e.content) };
+        opts.delimiter = previewCSV(e.content.subarray(0, 64 * 1024), opts, e.content.length <= 64 * 1024).delimiter;
+        const parsed = await streamCSV(new Blob([e.content]), opts);
+        addDataset(base, parsed.rows, undefined, parsed);
+        loaded.push(base);
+      } else if (ext === "xlsx" || ext === "xls") {
+        const wb = readWorkbook(e.content);
+        for (const sheet of wb.SheetNames) {
+          const name = wb.SheetNames.length > 1 ? `${base}/${sheet}` : base;
+          addDataset(name, readSheet(wb.Sheets[sheet]));
+          loaded.push(name);
         }
-      } catch (e) {
-        console.warn("Pipeline step failed", step, e);
+      } else if (ext === "hyper" || ext === "tde") {
+        report.push({ item: `Extract ${e.path}`, reason: "Hyper and TDE extracts cannot be read in the browser; export the data to CSV" });
       }
     }
-    return out;
+    if (loaded.length) setActiveDataset(loaded[0]);
+    else addDataset(dsName, [], result.schema);
+    applyTranslation(source, { ...result, report });
+  };
+
+  const importCsv = async (opts) => {
+    const { name: dsName, file } = pendingCsv;
+    setPendingCsv(null);
+    try {
+      setBusy(true);
+      setError("");
+      setImportProgress(0);
+      const parsed = await streamCSV(file, opts, setImportProgress);
+      addDataset(dsName, parsed.rows, undefined, parsed);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+      setImportProgress(null);
+    }
   };
 
-  const workingRows = useMemo(() => applyPipeline(rows), [rows, pipeline]);
+  const loadSample = () => addDataset("sample", fromCSV(sampleCSV));
+
+  const previewIndex = previewStep !== null && previewStep < pipeline.length ? previewStep : null;
+  const { rows: workingRows, steps: stepInfo, preview: previewRows, pivot: pivotResult, chart: chartData, chartError, progress, runError } = usePipelineWorker({
+    datasets, activeName: active?.name || "", pipeline, preview: previewIndex, pivot, chartSpec, measures: model.measures,
+  });
+  const workingSchema = useMemo(() => deriveSchema(workingRows, schema), [workingRows, schema]);
+  const workingColumns = useMemo(() => workingSchema.map((s) => s.name), [workingSchema]);
+  // columns entering each step, so editors after a reshaping step offer the reshaped fields
+  const stepSchemas = useMemo(() => {
+    const known = new Map([...schema, ...workingSchema].map((s) => [s.name, s]));
+    return pipeline.map((_, i) => {
+      const cols = stepInfo[i]?.columns;
+      return cols?.length ? cols.map((n) => known.get(n) || { name: n, type: "string" }) : workingSchema;
+    });
+  }, [pipeline, stepInfo, schema, workingSchema]);
+  const previewSchema = useMemo(() => (previewRows ? deriveSchema(previewRows, schema) : []), [previewRows, schema]);
 
   const addFilter = () => setPipeline((p) => [...p, { type: "filter", expr: "IF(events>500, true, false)" }]);
   const addSelect = () => setPipeline((p) => [...p, { type: "select", fields: schema.map((s) => s.name) }]);
@@ -468,54 +766,95 @@ export default function App() {
   const addFill = () => setPipeline((p) => [...p, { type: "fill", cols: schema.slice(0,1).map((s) => s.name), direction: "down" }]);
   const addReplace = () => setPipeline((p) => [...p, { type: "replace", col: schema[0]?.name || "", find: "", withVal: "", mode: "exact", caseSensitive: false }]);
   const addToNumber = () => setPipeline((p) => [...p, { type: "toNumber", cols: schema.filter((s)=>s.type!=="date").map((s)=>s.name) }]);
-  const addToDate = () => setPipeline((p) => [...p, { type: "toDate", cols: schema.filter((s)=>s.type!=="number").map((s)=>s.name) }]);
+  const addToDate = () => setPipeline((p) => [...p, { type: "toDate", cols: schema.filter((s)=>!NUMERIC_TYPES.includes(s.type)).map((s)=>s.name) }]);
   const addTrim = () => setPipeline((p) => [...p, { type: "trim", cols: schema.map((s)=>s.name) }]);
   const addSplit = () => setPipeline((p) => [...p, { type: "split", col: schema[0]?.name || "", delim: ",", intoPrefix: "part_", count: 2, dropOriginal: false }]);
+  // a schema type override is recorded on the dataset and applied by a leading cast step
+  const overrideType = (col, to) => {
+    const format = schema.find((s) => s.name === col)?.format;
+    setDatasets((ds) => ds.map((d) => (d.name !== active?.name ? d : {
+      ...d, schema: d.schema.map((s) => (s.name === col ? { ...s, type: to, override: true } : s)),
+    })));
+    setPipeline((p) => {
+      const cast = { col, to, format };
+      if (p[0]?.type !== "cast") return [{ type: "cast", casts: [cast] }, ...p];
+      return [{ ...p[0], casts: [...p[0].casts.filter((c) => c.col !== col), cast] }, ...p.slice(1)];
+    });
+  };
+
+  const addJoin = () => {
+    const other = datasets.find((d) => d.name !== active?.name);
+    if (!other) { setError("Load a second dataset to join with."); return; }
+    const common = schema.find((s) => other.schema.some((o) => o.name === s.name));
+    const left = common?.name || schema[0]?.name || "";
+    const right = common?.name || other.schema[0]?.name || "";
+    setPipeline((p) => [...p, { type: "join", dataset: other.name, how: "left", on: [{ left, right }], suffix: "_right" }]);
+  };
+  const addAppend = () => {
+    const others = datasets.filter((d) => d.name !== active?.name).map((d) => d.name);
+    if (!others.length) { setError("Load another dataset to append."); return; }
+    setPipeline((p) => [...p, { type: "append", datasets: others, addSource: false, sourceCol: "source" }]);
+  };
+  const addValueFilter = (col, value) => setPipeline((p) => [...p, { type: "filter", expr: filterExprFor(col, value) }]);
+  const addGroupBy = () => {
+    const key = schema.find((s) => !NUMERIC_TYPES.includes(s.type)) || schema[0];
+    const measure = schema.find((s) => NUMERIC_TYPES.includes(s.type) && s !== key);
+    const aggs = measure ? [{ col: measure.name, fn: "sum", as: measure.name }] : [{ col: "", fn: "count", as: "count" }];
+    setPipeline((p) => [...p, { type: "groupBy", keys: key ? [key.name] : [], aggs, delim: ", " }]);
+  };
+  const addUnpivot = () => setPipeline((p) => [...p, { type: "unpivot", cols: schema.filter((s) => NUMERIC_TYPES.includes(s.type)).map((s) => s.name), attrCol: "attribute", valueCol: "value", dropBlanks: false }]);
+  const addPivotColumns = () => {
+    const attr = schema.find((s) => !NUMERIC_TYPES.includes(s.type)) || schema[0];
+    const value = schema.find((s) => NUMERIC_TYPES.includes(s.type) && s !== attr) || schema[1];
+    setPipeline((p) => [...p, { type: "pivotColumns", attrCol: attr?.name || "", valueCol: value?.name || "", fn: "sum", delim: ", " }]);
+  };
+  const addWindow = () => {
+    const measure = schema.find((s) => NUMERIC_TYPES.includes(s.type)) || schema[0];
+    const order = schema.find((s) => s.type === "date" || /year|date|month|period/i.test(s.name)) || schema[0];
+    setPipeline((p) => [...p, { type: "window", partitionBy: [], orderBy: order?.name || "", dir: "asc", calcs: [{ fn: "runningSum", col: measure?.name || "", as: "", n: 3 }] }]);
+  };
   const addMerge = () => setPipeline((p) => [...p, { type: "merge", cols: schema.slice(0,2).map((s)=>s.name), into: "merged", delim: " " }]);
 
   const addCalc = () => {
     try {
       if (!calcName.trim()) throw new Error("Field name required");
-      const p = createExcelParser(workingRows);
-      p.parse(calcExpr);
+      const err = formulaError(calcExpr);
+      if (err) throw new Error(`Invalid formula at character ${err.at + 1}: ${err.message}`);
       setPipeline((ppl) => [...ppl, { type: "mutate", as: calcName.trim(), expr: calcExpr }]);
       setCalcExpr("");
       setCalcName("");
     } catch (e) {
-      setError("Invalid formula. Use Excel-like functions: IF, AND, OR, NOT, ROUND, TRIM, LEFT, RIGHT, MID, UPPER, LOWER, DATE, YEAR, MONTH, DAY, TODAY, NOW, SUMIF, COUNTIF, AVERAGEIF, LOOKUP.");
+      setError(e.message);
     }
   };
 
-  const pivotResult = useMemo(() => buildPivot(workingRows, pivot), [workingRows, pivot]);
-  const chartData = useMemo(() => buildChartData(workingRows, chartSpec), [workingRows, chartSpec]);
+  // a measure saved under an existing name replaces it in place
+  const saveMeasure = (measure) => setModel((m) => {
+    const at = m.measures.findIndex((x) => x.name === measure.name);
+    const measures = at < 0 ? [...m.measures, measure] : m.measures.map((x, k) => (k === at ? { ...x, ...measure } : x));
+    return { ...m, measures };
+  });
 
-  function importTableauXML(xmlText) {
-    try {
-      const doc = new DOMParser().parseFromString(xmlText, "text/xml");
-      const cols = Array.from(doc.querySelectorAll("column, column-instance")).map((c) => ({
-        name: c.getAttribute("name") || c.getAttribute("caption") || "field",
-        type: c.getAttribute("datatype") || "string",
-      }));
-      return { schema: cols };
-    } catch (e) {
-      throw new Error("Failed to parse Tableau XML.");
-    }
-  }
+  const saveRecipe = () => {
+    const recipeName = prompt("Recipe name", name);
+    if (!recipeName) return;
+    const recipe = { kind: RECIPE_KIND, name: recipeName, steps: pipeline, columns: schema.map((s) => s.name) };
+    setRecipes((rs) => [...rs.filter((r) => r.name !== recipeName), recipe]);
+  };
 
-  function importPbiShim(jsonText) {
+  const importRecipe = async (file) => {
     try {
-      const obj = JSON.parse(jsonText);
-      const cols = [];
-      const tables = obj.model?.tables || obj.tables || [];
-      tables.forEach((t) => {
-        (t.columns || []).forEach((c) => cols.push({ name: `${t.name}.${c.name}`, type: c.dataType || "string" }));
-      });
-      if (!cols.length) throw new Error("Unsupported PBI JSON shape. Provide model with tables and columns.");
-      return { schema: cols };
+      const recipe = parseRecipe(await file.text());
+      setRecipes((rs) => [...rs.filter((r) => r.name !== recipe.name), { kind: RECIPE_KIND, ...recipe }]);
     } catch (e) {
-      throw new Error("Failed to parse PBI compatibility JSON.");
+      setError(e.message);
     }
-  }
+  };
+
+  const applyRecipe = (steps, mode) => {
+    setPipeline((p) => (mode === "append" ? [...p, ...steps] : steps));
+    setPendingRecipe(null);
+  };
 
   const exportPNG = async (node) => {
     if (!node) return;
@@ -538,7 +877,7 @@ export default function App() {
   };
 
   const saveProject = () => {
-    const project = { name, schema, rows, pipeline, chartSpec, pivot };
+    const project = { name, datasets, activeDataset: active?.name || "", pipeline, chartSpec, chartPresets, model, pivot };
     download(`${name.replace(/\\s+/g, "_")}.qbi.json`, JSON.stringify(project, null, 2));
   };
 
@@ -547,10 +886,11 @@ export default function App() {
       const text = await file.text();
       const obj = JSON.parse(text);
       setName(obj.name || "Restored Project");
-      setSchema(obj.schema || []);
-      setRows(obj.rows || []);
+      restoreDatasets(obj);
       setPipeline(obj.pipeline || []);
       setChartSpec(obj.chartSpec || chartSpec);
+      setChartPresets(obj.chartPresets || []);
+      setModel({ ...EMPTY_MODEL, ...obj.model });
       setPivot(obj.pivot || pivot);
     } catch (e) {
       setError("Failed to load project JSON.");
@@ -571,6 +911,8 @@ export default function App() {
             </div>
           </div>
           <div className="flex items-center gap-2">
+            <SecondaryButton onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">Undo</SecondaryButton>
+            <SecondaryButton onClick={history.redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">Redo</SecondaryButton>
             <SecondaryButton onClick={() => setTheme(theme === "light" ? "dark" : "light")}>
               {theme === "light" ? "Dark mode" : "Light mode"}
             </SecondaryButton>
@@ -581,6 +923,35 @@ export default function App() {
 
         {error && <div className="mb-3"><Alert kind="error" message={error} /></div>}
 
+        {pendingCsv && (
+          <CsvImportDialog
+            name={pendingCsv.name}
+            file={pendingCsv.file}
+            onCancel={() => setPendingCsv(null)}
+            onImport={importCsv}
+          />
+        )}
+
+        {pendingRecipe && (
+          <RecipeDialog
+            recipe={pendingRecipe}
+            inputColumns={{ replace: schema.map((s) => s.name), append: workingSchema.map((s) => s.name) }}
+            datasets={new Map(datasets.map((d) => [d.name, d.schema.map((s) => s.name)]))}
+            hasPipeline={pipeline.length > 0}
+            onCancel={() => setPendingRecipe(null)}
+            onApply={applyRecipe}
+          />
+        )}
+
+        {pendingWorkbook && (
+          <WorkbookImportDialog
+            name={pendingWorkbook.name}
+            wb={pendingWorkbook.wb}
+            onCancel={() => setPendingWorkbook(null)}
+            onImport={importSheets}
+          />
+        )}
+
         <div className="grid grid-cols-12 gap-4">
           <div className="col-span-12 lg:col-span-3 space-y-4">
             <Card title="Project" actions={<Tag>{rows.length} rows</Tag>}>
@@ -591,9 +962,8 @@ export default function App() {
                 <SecondaryButton onClick={() => {
                   const text = prompt("Paste CSV");
                   if (text) {
-                    const data = fromCSV(text);
-                    setRows(data);
-                    setSchema(buildSchema(data));
+                    const dsName = prompt("Dataset name", `pasted${datasets.length + 1}`);
+                    if (dsName) addDataset(dsName, fromCSV(text));
                   }
                 }}>Paste CSV</SecondaryButton>
               </div>
@@ -601,7 +971,7 @@ export default function App() {
                 <label className="block text-xs mb-1">Upload data or compat files</label>
                 <input
                   type="file"
-                  accept=".csv,.xlsx,.xls,.json,.xml,.twb,.tds,.pbi.json,.bim,.pbit,.pbids"
+                  accept=".csv,.tsv,.txt,.xlsx,.xls,.json,.xml,.twb,.tds,.twbx,.tdsx,.bim,.pbit,.pbids"
                   onChange={(e) => e.target.files?.[0] && onUpload(e.target.files[0])}
                 />
               </div>
@@ -609,24 +979,87 @@ export default function App() {
                 <label className="block text-xs mb-1">Load project (.qbi.json)</label>
                 <input type="file" accept=".json" onChange={(e) => e.target.files?.[0] && loadProject(e.target.files[0])} />
               </div>
-              {busy && <div className="mt-3"><Spinner /></div>}
+              {busy && (
+                <div className="mt-3 flex items-center gap-3">
+                  <Spinner />
+                  {importProgress !== null && <ProgressBar done={importProgress} total={1} />}
+                </div>
+              )}
+            </Card>
+
+            {translation && <TranslationReport report={translation} onDismiss={() => setTranslation(null)} />}
+
+            {diagnostics.filter((d) => datasets.some((x) => x.name === d.dataset)).map((report) => (
+              <ImportDiagnostics
+                key={report.dataset}
+                report={report}
+                onResolve={(mode) => resolveDiagnostics(report, mode)}
+                onDownload={() => downloadRejects(report)}
+                onDismiss={() => dismissDiagnostics(report.dataset)}
+              />
+            ))}
+
+            <Card title="Datasets" actions={<Tag>{datasets.length}</Tag>}>
+              {datasets.length === 0 && <div className="text-xs text-slate-500">No datasets loaded.</div>}
+              <div className="space-y-1">
+                {datasets.map((d) => (
+                  <div key={d.name} className="flex items-center justify-between gap-2 border-b border-slate-100 dark:border-slate-800 py-1">
+                    <div className="truncate">
+                      <span className="font-semibold">{d.name}</span>
+                      <span className="ml-2 text-xs text-slate-500">{d.rows.length} rows</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {d.name === active?.name
+                        ? <Tag>active</Tag>
+                        : <SecondaryButton onClick={() => setActiveDataset(d.name)}>Use</SecondaryButton>}
+                      <SecondaryButton onClick={() => removeDataset(d.name)}>Remove</SecondaryButton>
+                    </div>
+                  </div>
+                ))}
+              </div>
             </Card>
 
             <Card title="Schema">
               {schema.length === 0 && <div className="text-xs text-slate-500">No schema available. Load data or import a compat file.</div>}
               <div className="max-h-56 overflow-auto space-y-1">
                 {schema.map((s) => (
-                  <div key={s.name} className="flex items-center justify-between border-b border-slate-100 dark:border-slate-800 py-1">
-                    <div className="truncate"><span className="font-semibold">{s.name}</span></div>
-                    <Tag>{s.type}</Tag>
+                  <div key={s.name} className="flex items-center justify-between gap-2 border-b border-slate-100 dark:border-slate-800 py-1">
+                    <div className="truncate">
+                      <span className="font-semibold">{s.name}</span>
+                      {s.confidence !== undefined && (
+                        <div className="text-[11px] text-slate-500">
+                          {Math.round(s.confidence * 100)}% match{s.mixed ? ", mixed types" : ""}{s.note ? `, ${s.note}` : ""}
+                        </div>
+                      )}
+                    </div>
+                    <Select className="w-28 shrink-0 py-1" value={s.type} onChange={(e) => overrideType(s.name, e.target.value)}>
+                      {(COLUMN_TYPES.includes(s.type) ? COLUMN_TYPES : [s.type, ...COLUMN_TYPES]).map((t) => <option key={t} value={t}>{t}</option>)}
+                    </Select>
                   </div>
                 ))}
               </div>
             </Card>
 
+            <MeasuresCard
+              measures={model.measures}
+              rows={workingRows}
+              columns={workingColumns}
+              onSave={saveMeasure}
+              onRemove={(n) => setModel((m) => ({ ...m, measures: m.measures.filter((x) => x.name !== n) }))}
+            />
+
+            {(model.relationships.length > 0 || model.hierarchies.length > 0) && (
+              <ModelView
+                model={model}
+                onPivotRows={(levels) => { setPivot({ ...pivot, rows: levels }); setTab("pivot"); }}
+                onClear={() => setModel((m) => ({ ...EMPTY_MODEL, measures: m.measures }))}
+              />
+            )}
+
             <Card title="Transform pipeline" actions={
               <div className="flex gap-2 flex-wrap">
                 <SecondaryButton onClick={() => setPipeline([])}>Clear</SecondaryButton>
+                <SecondaryButton onClick={saveRecipe} disabled={!pipeline.length}>Save recipe</SecondaryButton>
                 <Tag>{pipeline.length} steps</Tag>
               </div>
             }>
@@ -642,28 +1075,41 @@ export default function App() {
                 <SecondaryButton onClick={addToDate}>To date</SecondaryButton>
                 <SecondaryButton onClick={addSplit}>Split column</SecondaryButton>
                 <SecondaryButton onClick={addMerge}>Merge columns</SecondaryButton>
+                <SecondaryButton onClick={addJoin}>Join dataset</SecondaryButton>
+                <SecondaryButton onClick={addAppend}>Append datasets</SecondaryButton>
+                <SecondaryButton onClick={addGroupBy}>Group and aggregate</SecondaryButton>
+                <SecondaryButton onClick={addUnpivot}>Unpivot columns</SecondaryButton>
+                <SecondaryButton onClick={addPivotColumns}>Pivot to columns</SecondaryButton>
+                <SecondaryButton onClick={addWindow}>Window calculation</SecondaryButton>
               </div>
               <div className="mt-3 space-y-2">
                 {pipeline.map((st, i) => (
-                  <div key={i} className="p-2 rounded-xl bg-slate-100 dark:bg-slate-800">
+                  <div key={i} className={`p-2 rounded-xl ${stepInfo[i]?.error ? "bg-red-50 dark:bg-red-950 border border-red-300 dark:border-red-800" : "bg-slate-100 dark:bg-slate-800"} ${st.disabled ? "opacity-60" : ""} ${previewIndex === i ? "ring-2 ring-slate-400" : ""}`}>
                     <div className="flex items-center justify-between">
-                      <div className="text-[13px] font-semibold">{st.type}</div>
+                      <button className="text-[13px] font-semibold text-left" title="Preview the data as of this step" onClick={() => setPreviewStep(previewIndex === i ? null : i)}>{i + 1}. {st.type}</button>
                       <div className="flex items-center gap-2">
-                        <SecondaryButton onClick={() => setPipeline((p) => p.filter((_, idx) => idx !== i))}>Remove</SecondaryButton>
-                        <SecondaryButton onClick={() => setPipeline((p) => moveItem(p, i, i - 1))}>Up</SecondaryButton>
-                        <SecondaryButton onClick={() => setPipeline((p) => moveItem(p, i, i + 1))}>Down</SecondaryButton>
+                        <label className="flex items-center gap-1 text-xs" title="Disabled steps pass their input through">
+                          <input type="checkbox" checked={!st.disabled} onChange={(e) => updateStep(i, { disabled: !e.target.checked })} />
+                          on
+                        </label>
+                        <SecondaryButton onClick={() => removeStep(i)}>Remove</SecondaryButton>
+                        <SecondaryButton onClick={() => moveStep(i, i - 1)}>Up</SecondaryButton>
+                        <SecondaryButton onClick={() => moveStep(i, i + 1)}>Down</SecondaryButton>
                       </div>
                     </div>
+                    <StepStatus info={stepInfo[i]} />
                     {st.type === "filter" && (
-                      <Input className="mt-2" value={st.expr} onChange={(e) => updateStep(i, { expr: e.target.value })} placeholder="IF(events>500, true, false)" />
+                      <div className="mt-2">
+                        <FormulaEditor value={st.expr} onChange={(expr) => updateStep(i, { expr })} columns={stepSchemas[i].map((s) => s.name)} rows={stepInfo[i]?.sample || []} exact={stepInfo[i]?.preview || null} placeholder="events > 500" />
+                      </div>
                     )}
                     {st.type === "select" && (
-                      <MultiSelect fields={schema.map((s) => s.name)} value={st.fields} onChange={(fields) => updateStep(i, { fields })} />
+                      <MultiSelect fields={stepSchemas[i].map((s) => s.name)} value={st.fields} onChange={(fields) => updateStep(i, { fields })} />
                     )}
                     {st.type === "sort" && (
                       <div className="grid grid-cols-2 gap-2 mt-2">
                         <Select value={st.by} onChange={(e) => updateStep(i, { by: e.target.value })}>
-                          {schema.map((s) => (
+                          {stepSchemas[i].map((s) => (
                             <option key={s.name} value={s.name}>{s.name}</option>
                           ))}
                         </Select>
@@ -674,17 +1120,17 @@ export default function App() {
                       </div>
                     )}
                     {st.type === "dedupe" && (
-                      <MultiSelect fields={schema.map((s) => s.name)} value={st.keys} onChange={(keys) => updateStep(i, { keys })} />
+                      <MultiSelect fields={stepSchemas[i].map((s) => s.name)} value={st.keys} onChange={(keys) => updateStep(i, { keys })} />
                     )}
                     {st.type === "mutate" && (
-                      <div className="grid grid-cols-2 gap-2 mt-2">
+                      <div className="space-y-2 mt-2">
                         <Input value={st.as} onChange={(e) => updateStep(i, { as: e.target.value })} placeholder="newField" />
-                        <Input value={st.expr} onChange={(e) => updateStep(i, { expr: e.target.value })} placeholder="ROUND(fatalities/events,2)" />
+                        <FormulaEditor value={st.expr} onChange={(expr) => updateStep(i, { expr })} columns={stepSchemas[i].map((s) => s.name)} rows={stepInfo[i]?.sample || []} exact={stepInfo[i]?.preview || null} placeholder="ROUND(fatalities/events,2)" />
                       </div>
                     )}
                     {st.type === "fill" && (
                       <div className="grid grid-cols-2 gap-2 mt-2">
-                        <MultiSelect fields={schema.map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} />
+                        <MultiSelect fields={stepSchemas[i].map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} />
                         <Select value={st.direction} onChange={(e)=>updateStep(i,{direction:e.target.value})}>
                           <option value="down">down</option>
                           <option value="up">up</option>
@@ -694,7 +1140,7 @@ export default function App() {
                     {st.type === "replace" && (
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2">
                         <Select value={st.col} onChange={(e)=>updateStep(i,{col:e.target.value})}>
-                          {schema.map((s)=> <option key={s.name} value={s.name}>{s.name}</option>)}
+                          {stepSchemas[i].map((s)=> <option key={s.name} value={s.name}>{s.name}</option>)}
                         </Select>
                         <Input placeholder="find" value={st.find} onChange={(e)=>updateStep(i,{find:e.target.value})} />
                         <Input placeholder="replace with" value={st.withVal} onChange={(e)=>updateStep(i,{withVal:e.target.value})} />
@@ -706,18 +1152,18 @@ export default function App() {
                       </div>
                     )}
                     {st.type === "toNumber" && (
-                      <div className="mt-2"><MultiSelect fields={schema.map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
+                      <div className="mt-2"><MultiSelect fields={stepSchemas[i].map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
                     )}
                     {st.type === "toDate" && (
-                      <div className="mt-2"><MultiSelect fields={schema.map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
+                      <div className="mt-2"><MultiSelect fields={stepSchemas[i].map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
                     )}
                     {st.type === "trim" && (
-                      <div className="mt-2"><MultiSelect fields={schema.map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
+                      <div className="mt-2"><MultiSelect fields={stepSchemas[i].map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} /></div>
                     )}
                     {st.type === "split" && (
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2">
                         <Select value={st.col} onChange={(e)=>updateStep(i,{col:e.target.value})}>
-                          {schema.map((s)=> <option key={s.name} value={s.name}>{s.name}</option>)}
+                          {stepSchemas[i].map((s)=> <option key={s.name} value={s.name}>{s.name}</option>)}
                         </Select>
                         <Input placeholder="," value={st.delim} onChange={(e)=>updateStep(i,{delim:e.target.value})} />
                         <Input placeholder="prefix" value={st.intoPrefix} onChange={(e)=>updateStep(i,{intoPrefix:e.target.value})} />
@@ -726,28 +1172,126 @@ export default function App() {
                     )}
                     {st.type === "merge" && (
                       <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mt-2">
-                        <MultiSelect fields={schema.map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} />
+                        <MultiSelect fields={stepSchemas[i].map((s)=>s.name)} value={st.cols} onChange={(cols)=>updateStep(i,{cols})} />
                         <Input placeholder="into" value={st.into} onChange={(e)=>updateStep(i,{into:e.target.value})} />
                         <Input placeholder="delimiter" value={st.delim} onChange={(e)=>updateStep(i,{delim:e.target.value})} />
                       </div>
                     )}
+                    {st.type === "cast" && (
+                      <div className="mt-2 space-y-1">
+                        {st.casts.map((c) => (
+                          <div key={c.col} className="grid grid-cols-5 gap-2 items-center">
+                            <div className="col-span-2 truncate text-xs">{c.col}</div>
+                            <Select className="col-span-2" value={c.to} onChange={(e) => updateStep(i, { casts: st.casts.map((x) => (x.col === c.col ? { ...x, to: e.target.value } : x)) })}>
+                              {COLUMN_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+                            </Select>
+                            <SecondaryButton onClick={() => updateStep(i, { casts: st.casts.filter((x) => x.col !== c.col) })}>x</SecondaryButton>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {st.type === "join" && (
+                      <JoinStepEditor step={st} schema={stepSchemas[i]} datasets={datasets} onChange={(patch) => updateStep(i, patch)} />
+                    )}
+                    {st.type === "groupBy" && (
+                      <GroupByStepEditor step={st} schema={stepSchemas[i]} onChange={(patch) => updateStep(i, patch)} />
+                    )}
+                    {st.type === "unpivot" && (
+                      <div className="mt-2 space-y-2">
+                        <MultiSelect fields={stepSchemas[i].map((s) => s.name)} value={st.cols} onChange={(cols) => updateStep(i, { cols })} />
+                        <div className="grid grid-cols-3 gap-2 items-center">
+                          <Input placeholder="attribute" value={st.attrCol} onChange={(e) => updateStep(i, { attrCol: e.target.value })} />
+                          <Input placeholder="value" value={st.valueCol} onChange={(e) => updateStep(i, { valueCol: e.target.value })} />
+                          <label className="flex items-center gap-2 text-xs">
+                            <input type="checkbox" checked={!!st.dropBlanks} onChange={(e) => updateStep(i, { dropBlanks: e.target.checked })} />
+                            Drop blanks
+                          </label>
+                        </div>
+                      </div>
+                    )}
+                    {st.type === "pivotColumns" && (
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2">
+                        <Select value={st.attrCol} onChange={(e) => updateStep(i, { attrCol: e.target.value })}>
+                          {stepSchemas[i].map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+                        </Select>
+                        <Select value={st.valueCol} onChange={(e) => updateStep(i, { valueCol: e.target.value })}>
+                          {stepSchemas[i].map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+                        </Select>
+                        <Select value={st.fn} onChange={(e) => updateStep(i, { fn: e.target.value })}>
+                          {GROUP_AGGREGATORS.map((f) => <option key={f} value={f}>{f === "countDistinct" ? "count distinct" : f}</option>)}
+                        </Select>
+                        {st.fn === "concatenate" && <Input placeholder="delimiter" value={st.delim} onChange={(e) => updateStep(i, { delim: e.target.value })} />}
+                      </div>
+                    )}
+                    {st.type === "window" && (
+                      <WindowStepEditor step={st} schema={stepSchemas[i]} onChange={(patch) => updateStep(i, patch)} />
+                    )}
+                    {st.type === "append" && (
+                      <div className="mt-2 space-y-2">
+                        <MultiSelect fields={datasets.filter((d) => d.name !== active?.name).map((d) => d.name)} value={st.datasets} onChange={(ds) => updateStep(i, { datasets: ds })} />
+                        <div className="grid grid-cols-2 gap-2 items-center">
+                          <label className="flex items-center gap-2 text-xs">
+                            <input type="checkbox" checked={!!st.addSource} onChange={(e) => updateStep(i, { addSource: e.target.checked })} />
+                            Add source column
+                          </label>
+                          <Input placeholder="source" value={st.sourceCol} disabled={!st.addSource} onChange={(e) => updateStep(i, { sourceCol: e.target.value })} />
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
 
               <div className="mt-3">
                 <div className="text-xs mb-1">Calculated field</div>
-                <div className="grid grid-cols-2 gap-2">
+                <div className="space-y-2">
                   <Input placeholder="newField" value={calcName} onChange={(e) => setCalcName(e.target.value)} />
-                  <Input placeholder="IF(events>500, 'High', 'Low') or ROUND(fatalities/events,2)" value={calcExpr} onChange={(e) => setCalcExpr(e.target.value)} />
+                  <FormulaEditor placeholder="IF(events>500, 'High', 'Low') or ROUND(fatalities/events,2)" value={calcExpr} onChange={setCalcExpr} columns={workingColumns} rows={workingRows} />
                 </div>
                 <div className="mt-2 flex items-center gap-2">
                   <SecondaryButton onClick={addCalc}>Add</SecondaryButton>
-                  <Tag>Excel like: IF, AND, OR, NOT, ROUND, TRIM, LEFT or RIGHT or MID, UPPER or LOWER, DATE or YEAR or MONTH or DAY, TODAY or NOW, SUMIF, COUNTIF, AVERAGEIF, LOOKUP</Tag>
+                  <Tag>Excel-like functions; type to complete names</Tag>
                 </div>
               </div>
             </Card>
 
+            <Card title="Recipes" actions={<Tag>{recipes.length}</Tag>}>
+              {recipes.length === 0 && <div className="text-xs text-slate-500">Save a pipeline as a recipe to reuse it on other files.</div>}
+              <div className="space-y-1">
+                {recipes.map((r) => (
+                  <div key={r.name} className="flex items-center justify-between gap-2 border-b border-slate-100 dark:border-slate-800 py-1">
+                    <div className="truncate">
+                      <span className="font-semibold">{r.name}</span>
+                      <span className="ml-2 text-xs text-slate-500">{r.steps.length} steps</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <SecondaryButton onClick={() => setPendingRecipe(r)} disabled={!active}>Apply</SecondaryButton>
+                      <SecondaryButton onClick={() => download(`${r.name.replace(/\s+/g, "_")}.recipe.json`, JSON.stringify(r, null, 2))}>Save</SecondaryButton>
+                      <SecondaryButton onClick={() => setRecipes((rs) => rs.filter((x) => x.name !== r.name))}>Remove</SecondaryButton>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3">
+                <label className="block text-xs mb-1">Load recipe (.recipe.json)</label>
+                <input type="file" accept=".json" onChange={(e) => e.target.files?.[0] && importRecipe(e.target.files[0])} />
+              </div>
+            </Card>
+
+            <Card title="History" actions={<Tag>{history.entries.length}</Tag>}>
+              <div className="max-h-56 overflow-auto space-y-1">
+                {history.entries.map((h, k) => (
+                  <button
+                    key={k}
+                    onClick={() => history.jump(k)}
+                    className={`block w-full text-left text-xs px-2 py-1 rounded-lg ${k === history.index ? "bg-slate-200 dark:bg-slate-700 font-semibold" : k > history.index ? "text-slate-400" : ""}`}
+                  >
+                    {h.label}
+                  </button>
+                ))}
+              </div>
+            </Card>
+
             <Card title="Export">
               <div className="grid grid-cols-2 gap-2">
                 <SecondaryButton onClick={() => download("data.csv", toCSV(workingRows))}>CSV</SecondaryButton>
@@ -765,6 +1309,7 @@ export default function App() {
             <div className="flex items-center gap-2">
               {[
                 ["data", "Data"],
+                ["profile", "Profile"],
                 ["pivot", "Pivot"],
                 ["chart", "Charts"],
                 ["dash", "Dashboard"],
@@ -777,37 +1322,72 @@ export default function App() {
                   {label}
                 </button>
               ))}
+              {progress && (
+                <div className="ml-auto flex items-center gap-2 text-xs text-slate-500">
+                  <ProgressBar done={progress.done} total={progress.total} />
+                  <span>Step {progress.done} of {progress.total}</span>
+                </div>
+              )}
             </div>
 
-            {tab === "data" && (
+            {runError && <div className="mb-3"><Alert kind="error" message={`Pipeline run failed: ${runError}`} /></div>}
+
+            {tab === "data" && previewRows && (
+              <Card title={`Data as of step ${previewIndex + 1} (${pipeline[previewIndex].type})`} actions={
+                <div className="flex items-center gap-2">
+                  <Tag>{previewRows.length} rows</Tag>
+                  <SecondaryButton onClick={() => setPreviewStep(null)}>Show output</SecondaryButton>
+                </div>
+              }>
+                <DataTable rows={previewRows} schema={previewSchema} />
+              </Card>
+            )}
+
+            {tab === "data" && !previewRows && (
               <Card title="Data table" actions={<Tag>{workingRows.length} rows</Tag>}>
-                <DataTable rows={workingRows} schema={schema} />
+                <DataTable rows={workingRows} schema={workingSchema} />
+              </Card>
+            )}
+
+            {tab === "profile" && (
+              <Card title="Column profile" actions={<Tag>{workingRows.length} rows</Tag>}>
+                <ProfileView rows={workingRows} schema={workingSchema} onFilter={addValueFilter} />
               </Card>
             )}
 
             {tab === "pivot" && (
               <Card title="Pivot builder">
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
-                  <DragFieldPicker label="Rows" fields={schema} value={pivot.rows} onChange={(rows) => setPivot({ ...pivot, rows })} />
-                  <DragFieldPicker label="Columns" fields={schema} value={pivot.cols} onChange={(cols) => setPivot({ ...pivot, cols })} />
-                  <div>
-                    <div className="text-xs mb-1">Value and aggregator</div>
-                    <Select value={pivot.value} onChange={(e) => setPivot({ ...pivot, value: e.target.value })}>
-                      {schema.map((s) => (<option key={s.name} value={s.name}>{s.name}</option>))}
-                    </Select>
-                    <div className="mt-2">
-                      <Select value={pivot.agg} onChange={(e) => setPivot({ ...pivot, agg: e.target.value })}>
-                        {["sum","avg","count","min","max"].map((a) => <option key={a} value={a}>{a}</option>)}
-                      </Select>
-                    </div>
-                  </div>
+                  <DragFieldPicker label="Rows" fields={workingSchema} value={pivot.rows} onChange={(rows) => setPivot({ ...pivot, rows })} />
+                  <DragFieldPicker label="Columns" fields={workingSchema} value={pivot.cols} onChange={(cols) => setPivot({ ...pivot, cols })} />
+                  <PivotValuesEditor
+                    fields={workingSchema}
+                    measures={model.measures}
+                    values={pivotValues(pivot)}
+                    valuesOn={pivot.valuesOn || "columns"}
+                    onChange={(values) => { const { value, agg, ...rest } = pivot; setPivot({ ...rest, values }); }}
+                    onValuesOn={(valuesOn) => setPivot({ ...pivot, valuesOn })}
+                  />
                 </div>
-                <PivotTable result={pivotResult} />
+                <div className="mb-3 flex items-center gap-2">
+                  <span className="text-xs">Layout</span>
+                  <Select className="w-40" value={pivot.layout || "outline"} onChange={(e) => setPivot({ ...pivot, layout: e.target.value })}>
+                    <option value="outline">Outline</option>
+                    <option value="tabular">Tabular</option>
+                  </Select>
+                  <Tag>Use + and - on a member to expand or collapse it</Tag>
+                </div>
+                <PivotTable result={pivotResult} valuesOn={pivot.valuesOn} layout={pivot.layout} />
               </Card>
             )}
 
             {tab === "chart" && (
-              <Card title="Chart builder">
+              <Card title="Chart builder" actions={chartPresets.length > 0 && (
+                <Select className="w-48" value="" onChange={(e) => e.target.value && setChartSpec(chartPresets[Number(e.target.value)].spec)}>
+                  <option value="">Imported worksheets</option>
+                  {chartPresets.map((c, i) => <option key={c.name} value={i}>{c.name}</option>)}
+                </Select>
+              )}>
                 <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4">
                   <div>
                     <div className="text-xs mb-1">Type</div>
@@ -820,30 +1400,27 @@ export default function App() {
                   <div>
                     <div className="text-xs mb-1">X</div>
                     <Select value={chartSpec.x} onChange={(e) => setChartSpec({ ...chartSpec, x: e.target.value })}>
-                      {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+                      {workingSchema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
                     </Select>
                   </div>
                   <div>
                     <div className="text-xs mb-1">Y or value</div>
-                    <Select value={chartSpec.y} onChange={(e) => setChartSpec({ ...chartSpec, y: e.target.value })}>
-                      {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
-                    </Select>
+                    <ValueSelect fields={workingSchema} measures={model.measures} field={chartSpec.y} agg={chartSpec.agg} onChange={(y, agg) => setChartSpec({ ...chartSpec, y, agg })} />
                   </div>
                   <div>
                     <div className="text-xs mb-1">Series optional</div>
                     <Select value={chartSpec.series} onChange={(e) => setChartSpec({ ...chartSpec, series: e.target.value })}>
                       <option value="">None</option>
-                      {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+                      {workingSchema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
                     </Select>
                   </div>
                   <div>
                     <div className="text-xs mb-1">Aggregator</div>
-                    <Select value={chartSpec.agg} onChange={(e) => setChartSpec({ ...chartSpec, agg: e.target.value })}>
-                      {["sum","avg","count","min","max"].map((a) => <option key={a} value={a}>{a}</option>)}
-                    </Select>
+                    <AggSelect value={chartSpec.agg} p={chartSpec.p} onChange={(patch) => setChartSpec({ ...chartSpec, ...patch })} />
                   </div>
                 </div>
 
+                {chartError && <div className="mb-3"><Alert kind="error" message={chartError} /></div>}
                 <div ref={chartRef} className="h-[360px] rounded-3xl border border-slate-200 dark:border-slate-800 p-2">
                   <ChartArea spec={chartSpec} data={chartData} />
                 </div>
@@ -856,23 +1433,680 @@ export default function App() {
                 <Card title="Chart">
                   <div ref={chartRef} className="h-[320px]"><ChartArea spec={chartSpec} data={chartData} /></div>
                 </Card>
-                <Card title="Pivot preview" className="md:col-span-2"><PivotTable result={pivotResult} compact /></Card>
+                <Card title="Pivot preview" className="md:col-span-2"><PivotTable result={pivotResult} valuesOn={pivot.valuesOn} layout={pivot.layout} compact /></Card>
               </div>
             )}
           </div>
         </div>
 
         <footer className="mt-6 text-xs text-slate-500 text-center">
-          Prototype for local testing. Data stays in browser. Tableau and Power BI support is schema only in this build.
+          Prototype for local testing. Data stays in browser. Tableau workbooks bring steps and charts; Power BI models bring measures, calculated columns and relationships.
         </footer>
       </div>
     </div>
   );
 
   function updateStep(i, patch) { setPipeline((p) => p.map((s, idx) => (idx === i ? { ...s, ...patch } : s))); }
+  // the previewed step keeps its preview when steps before it go or it moves
+  function removeStep(i) {
+    setPipeline((p) => p.filter((_, idx) => idx !== i));
+    setPreviewStep((k) => (k === null || k === i ? null : k > i ? k - 1 : k));
+  }
+  function moveStep(i, to) {
+    if (to < 0 || to >= pipeline.length) return;
+    setPipeline((p) => moveItem(p, i, to));
+    setPreviewStep((k) => (k === i ? to : k === to ? i : k));
+  }
   function moveItem(arr, from, to) { const a = [...arr]; if (to < 0 || to >= a.length) return a; const [it] = a.splice(from, 1); a.splice(to, 0, it); return a; }
 }
 
+function TranslationReport({ report, onDismiss }) {
+  const { source, translated, items } = report;
+  return (
+    <Card title={`Translated: ${source}`} actions={<SecondaryButton onClick={onDismiss}>Dismiss</SecondaryButton>}>
+      <div className="text-xs mb-2">{translated} item{translated === 1 ? "" : "s"} translated, {items.length} not translated.</div>
+      <div className="max-h-56 overflow-auto space-y-1">
+        {items.map((it, k) => (
+          <div key={k} className="border-b border-slate-100 dark:border-slate-800 py-1">
+            <div className="text-xs font-semibold">{it.item}</div>
+            <div className="text-xs text-amber-700 dark:text-amber-300">{it.reason}</div>
+            {it.source && <pre className="text-[11px] text-slate-500 whitespace-pre-wrap break-all">{it.source}</pre>}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+// measures aggregate over whichever rows a pivot cell, total or chart group holds;
+// the value shown here is the one for all rows
+function MeasuresCard({ measures, rows, columns, onSave, onRemove }) {
+  const [name, setName] = useState("");
+  const [expr, setExpr] = useState("");
+  const [problem, setProblem] = useState(null);
+  // computed only when the measures or the pipeline output change, not on every render
+  const totals = useMemo(() => new Map(measures.map((m) => {
+    try {
+      const v = evaluateMeasure(m.expr, rows, columns, measures, [m.name]);
+      return [m.name, typeof v === "number" ? Intl.NumberFormat().format(v) : String(v)];
+    } catch (e) {
+      return [m.name, <span className="text-red-700 dark:text-red-300">{e.message}</span>];
+    }
+  })), [measures, rows, columns]);
+  const save = () => {
+    const err = formulaError(expr);
+    if (!name.trim()) setProblem("Measure name required");
+    else if (!expr.trim()) setProblem("Measure formula required");
+    else if (err) setProblem(`Invalid formula at character ${err.at + 1}: ${err.message}`);
+    else {
+      onSave({ name: name.trim(), expr });
+      setName("");
+      setExpr("");
+      setProblem(null);
+    }
+  };
+  return (
+    <Card title="Measures" actions={<Tag>{measures.length}</Tag>}>
+      {measures.length === 0 && <div className="text-xs text-slate-500">Measures such as SUM(fatalities)/SUM(events) are recomputed for every pivot cell, total and chart group.</div>}
+      <div className="max-h-56 overflow-auto space-y-1">
+        {measures.map((m) => (
+          <div key={m.name} className="border-b border-slate-100 dark:border-slate-800 py-1">
+            <div className="flex items-center justify-between gap-2 text-xs">
+              <span className="font-semibold truncate">{m.name}</span>
+              <span className="flex items-center gap-2">
+                {totals.get(m.name)}
+                <SecondaryButton onClick={() => { setName(m.name); setExpr(m.expr); setProblem(null); }}>Edit</SecondaryButton>
+                <SecondaryButton onClick={() => onRemove(m.name)}>Remove</SecondaryButton>
+              </span>
+            </div>
+            <pre className="text-[11px] text-slate-500 whitespace-pre-wrap break-all">{m.expr}</pre>
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 space-y-2">
+        <Input placeholder="Measure name" value={name} onChange={(e) => setName(e.target.value)} />
+        <FormulaEditor measure measures={measures} measureName={name.trim()} placeholder="SUM(fatalities)/SUM(events)" value={expr} onChange={setExpr} columns={columns} rows={rows} />
+      </div>
+      {problem && <div className="mt-1 text-[11px] text-red-700 dark:text-red-300">{problem}</div>}
+      <div className="mt-2 flex items-center gap-2">
+        <SecondaryButton onClick={save}>{measures.some((m) => m.name === name.trim()) ? "Update" : "Add"}</SecondaryButton>
+        <Tag>Aggregates over the rows in context</Tag>
+      </div>
+    </Card>
+  );
+}
+
+function ModelView({ model, onPivotRows, onClear }) {
+  return (
+    <Card title="Model" actions={<SecondaryButton onClick={onClear}>Clear</SecondaryButton>}>
+      <div className="max-h-72 overflow-auto space-y-3">
+        {model.relationships.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs font-semibold">Relationships</div>
+            {model.relationships.map((r, k) => (
+              <div key={k} className={`text-xs ${r.active ? "" : "text-slate-500"}`}>
+                {r.fromTable}.{r.fromColumn} to {r.toTable}.{r.toColumn}{r.active ? "" : " (inactive)"}
+              </div>
+            ))}
+          </div>
+        )}
+        {model.hierarchies.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs font-semibold">Hierarchies</div>
+            {model.hierarchies.map((h) => (
+              <div key={`${h.table}.${h.name}`} className="flex items-center justify-between gap-2 text-xs">
+                <span className="truncate">{h.name}: {h.levels.join(" > ")}</span>
+                <SecondaryButton onClick={() => onPivotRows(h.levels)}>Pivot rows</SecondaryButton>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function ImportDiagnostics({ report, onResolve, onDownload, onDismiss, limit = 200 }) {
+  const { dataset, issues } = report;
+  return (
+    <Card title={`Import issues: ${dataset}`} actions={<Tag>{issues.length}</Tag>}>
+      <div className="max-h-56 overflow-auto space-y-1 mb-3">
+        {issues.slice(0, limit).map((it, k) => (
+          <div key={k} className="border-b border-slate-100 dark:border-slate-800 py-1">
+            <div className="flex items-center gap-2 text-xs">
+              <span className="font-semibold whitespace-nowrap">{it.where}</span>
+              <span className="text-red-700 dark:text-red-300">{it.problem}</span>
+            </div>
+            <pre className="text-[11px] text-slate-500 whitespace-pre-wrap break-all">{it.raw}</pre>
+          </div>
+        ))}
+        {issues.length > limit && <div className="text-xs text-slate-500">{issues.length - limit} more in the rejects file.</div>}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <SecondaryButton onClick={() => onResolve("drop")}>Drop bad rows</SecondaryButton>
+        <SecondaryButton onClick={() => onResolve("blank")}>Keep with blanks</SecondaryButton>
+        <SecondaryButton onClick={onDownload}>Download rejects</SecondaryButton>
+        <SecondaryButton onClick={onDismiss}>Dismiss</SecondaryButton>
+      </div>
+    </Card>
+  );
+}
+
+function CsvImportDialog({ name, file, onCancel, onImport }) {
+  const [head, setHead] = useState(null);
+  const [opts, setOpts] = useState({ delimiter: "", encoding: "utf-8", quoteChar: '"', comments: "", skipRows: 0, header: true });
+  const set = (patch) => setOpts((o) => ({ ...o, ...patch }));
+
+  useEffect(() => {
+    file.slice(0, 64 * 1024).arrayBuffer().then((buf) => {
+      const bytes = new Uint8Array(buf);
+      setHead(bytes);
+      set({ encoding: sniffEncoding(bytes) });
+    });
+  }, [file]);
+
+  const preview = useMemo(() => {
+    if (!head) return { rows: [] };
+    try { return previewCSV(head, opts, head.length >= file.size); }
+    catch (e) { return { rows: [], error: e.message }; }
+  }, [head, opts]);
+
+  return (
+    <Modal title={`Import CSV: ${name}`} actions={
+      <>
+        <SecondaryButton onClick={onCancel}>Cancel</SecondaryButton>
+        <Button disabled={!head} onClick={() => onImport({ ...opts, delimiter: opts.delimiter || preview.delimiter })}>Import</Button>
+      </>
+    }>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end mb-3">
+        <div>
+          <div className="text-xs mb-1">Delimiter</div>
+          <Select value={opts.delimiter} onChange={(e) => set({ delimiter: e.target.value })}>
+            {CSV_DELIMITERS.map(([v, label]) => <option key={label} value={v}>{label}</option>)}
+          </Select>
+        </div>
+        <div>
+          <div className="text-xs mb-1">Encoding</div>
+          <Select value={opts.encoding} onChange={(e) => set({ encoding: e.target.value })}>
+            {CSV_ENCODINGS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </Select>
+        </div>
+        <div>
+          <div className="text-xs mb-1">Quote</div>
+          <Select value={opts.quoteChar} onChange={(e) => set({ quoteChar: e.target.value })}>
+            <option value={'"'}>"</option>
+            <option value="'">'</option>
+          </Select>
+        </div>
+        <div>
+          <div className="text-xs mb-1">Comment prefix</div>
+          <Input placeholder="#" maxLength={1} value={opts.comments} onChange={(e) => set({ comments: e.target.value })} />
+        </div>
+        <div>
+          <div className="text-xs mb-1">Rows to skip</div>
+          <Input type="number" min="0" value={opts.skipRows} onChange={(e) => set({ skipRows: Math.max(0, Number(e.target.value) || 0) })} />
+        </div>
+        <label className="flex items-center gap-2 text-xs pb-2">
+          <input type="checkbox" checked={opts.header} onChange={(e) => set({ header: e.target.checked })} />
+          Header row
+        </label>
+      </div>
+      {preview.error && <div className="mb-3"><Alert kind="error" message={preview.error} /></div>}
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        <span>Preview</span>
+        {!opts.delimiter && preview.delimiter && <Tag>detected {JSON.stringify(preview.delimiter)}</Tag>}
+        <Tag>{Intl.NumberFormat().format(file.size)} bytes</Tag>
+      </div>
+      {head ? <DataTable rows={preview.rows} schema={[]} /> : <Spinner />}
+    </Modal>
+  );
+}
+
+// validation report for a recipe against the active dataset, with remapping of
+// every missing input column before the steps are applied
+function RecipeDialog({ recipe, inputColumns, datasets, hasPipeline, onCancel, onApply }) {
+  const [mode, setMode] = useState(hasPipeline ? "append" : "replace");
+  const [mapping, setMapping] = useState({});
+  const columns = inputColumns[mode];
+  const missing = useMemo(() => {
+    const all = validateRecipe(recipe.steps, columns, datasets).filter((i) => !i.dataset).flatMap((i) => i.missing);
+    return [...new Set(all)];
+  }, [recipe, columns, datasets]);
+  const steps = useMemo(() => remapSteps(recipe.steps, mapping), [recipe, mapping]);
+  const issues = useMemo(() => validateRecipe(steps, columns, datasets), [steps, columns, datasets]);
+
+  return (
+    <Modal title={`Apply recipe: ${recipe.name}`} actions={
+      <>
+        <SecondaryButton onClick={onCancel}>Cancel</SecondaryButton>
+        <Button onClick={() => onApply(steps, mode)}>{issues.length ? `Apply with ${issues.length} issue${issues.length === 1 ? "" : "s"}` : "Apply"}</Button>
+      </>
+    }>
+      <div className="grid grid-cols-12 gap-4">
+        <div className="col-span-12 md:col-span-5 space-y-3">
+          <div>
+            <div className="text-xs mb-1">Steps</div>
+            <Select value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="replace">Replace the pipeline</option>
+              <option value="append">Append to the pipeline</option>
+            </Select>
+          </div>
+          <div>
+            <div className="text-xs mb-1">Remap missing columns</div>
+            {missing.length === 0 && <div className="text-xs text-slate-500">Every column the recipe uses is present.</div>}
+            <div className="space-y-1">
+              {missing.map((c) => (
+                <div key={c} className="grid grid-cols-2 gap-2 items-center">
+                  <div className="truncate text-xs font-semibold">{c}</div>
+                  <Select className="py-1" value={mapping[c] || ""} onChange={(e) => setMapping((m) => ({ ...m, [c]: e.target.value }))}>
+                    <option value="">(keep)</option>
+                    {columns.map((n) => <option key={n} value={n}>{n}</option>)}
+                  </Select>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="col-span-12 md:col-span-7">
+          <div className="text-xs mb-1">Validation</div>
+          <div className="max-h-72 overflow-auto space-y-1">
+            {issues.length === 0 && <Alert kind="success" message={`All ${recipe.steps.length} steps can run on this dataset.`} />}
+            {issues.map((it, k) => (
+              <div key={k} className="border-b border-slate-100 dark:border-slate-800 py-1 text-xs">
+                <span className="font-semibold">Step {it.step + 1} ({it.type})</span>{" "}
+                <span className="text-red-700 dark:text-red-300">
+                  {it.dataset && !it.missing.length
+                    ? `needs dataset ${it.dataset}, which is not loaded`
+                    : `missing ${it.missing.join(", ")}${it.dataset ? ` in dataset ${it.dataset}` : ""}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function WorkbookImportDialog({ name, wb, onCancel, onImport }) {
+  const [opts, setOpts] = useState(() => Object.fromEntries(
+    wb.SheetNames.map((sn, i) => [sn, { selected: i === 0, range: "", headerRow: 1, flattenMerged: false }])
+  ));
+  const [focus, setFocus] = useState(wb.SheetNames[0]);
+  const o = opts[focus];
+  const set = (patch) => setOpts((prev) => ({ ...prev, [focus]: { ...prev[focus], ...patch } }));
+  const preview = useMemo(() => {
+    try {
+      const sheet = wb.Sheets[focus];
+      return { raw: sheetGrid(sheet, o.range, o.flattenMerged).slice(0, 8), rows: readSheet(sheet, o).slice(0, 5) };
+    } catch (e) {
+      return { error: e.message, raw: [], rows: [] };
+    }
+  }, [wb, focus, o]);
+  const selected = Object.entries(opts).filter(([, v]) => v.selected);
+
+  return (
+    <Modal title={`Import workbook: ${name}`} actions={
+      <>
+        <SecondaryButton onClick={onCancel}>Cancel</SecondaryButton>
+        <Button disabled={!selected.length} onClick={() => onImport(selected)}>Import {selected.length} sheet{selected.length === 1 ? "" : "s"}</Button>
+      </>
+    }>
+      <div className="grid grid-cols-12 gap-4">
+        <div className="col-span-12 md:col-span-3 space-y-1">
+          {wb.SheetNames.map((sn) => (
+            <div key={sn} className={`flex items-center gap-2 px-2 py-1 rounded-xl cursor-pointer ${sn === focus ? "bg-slate-100 dark:bg-slate-800" : ""}`} onClick={() => setFocus(sn)}>
+              <input type="checkbox" checked={opts[sn].selected} onClick={(e) => e.stopPropagation()} onChange={(e) => setOpts((prev) => ({ ...prev, [sn]: { ...prev[sn], selected: e.target.checked } }))} />
+              <span className="truncate">{sn}</span>
+            </div>
+          ))}
+        </div>
+        <div className="col-span-12 md:col-span-9 space-y-3">
+          <div className="grid grid-cols-3 gap-2 items-end">
+            <div>
+              <div className="text-xs mb-1">Range (blank for whole sheet)</div>
+              <Input placeholder="A3:F200" value={o.range} onChange={(e) => set({ range: e.target.value })} />
+            </div>
+            <div>
+              <div className="text-xs mb-1">Header row (0 for none)</div>
+              <Input type="number" min="0" value={o.headerRow} onChange={(e) => set({ headerRow: Math.max(0, Number(e.target.value) || 0) })} />
+            </div>
+            <label className="flex items-center gap-2 text-xs pb-2">
+              <input type="checkbox" checked={o.flattenMerged} onChange={(e) => set({ flattenMerged: e.target.checked })} />
+              Flatten merged cells
+            </label>
+          </div>
+          {preview.error && <Alert kind="error" message={preview.error} />}
+          <div className="text-xs">Sheet preview</div>
+          <div className="overflow-auto rounded-2xl border border-slate-200 dark:border-slate-800">
+            <table className="w-full text-xs">
+              <tbody>
+                {preview.raw.map((r, i) => (
+                  <tr key={i} className={i + 1 === Number(o.headerRow) ? "bg-amber-50 dark:bg-amber-900/30 font-semibold" : ""}>
+                    <td className="px-2 py-1 text-slate-500">{i + 1}</td>
+                    {r.map((v, c) => <td key={c} className="px-2 py-1 whitespace-nowrap">{String(v)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs">Parsed rows</div>
+          <DataTable rows={preview.rows} schema={[]} />
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function JoinStepEditor({ step, schema, datasets, onChange }) {
+  const other = datasets.find((d) => d.name === step.dataset);
+  const otherSchema = other ? other.schema : [];
+  const setKey = (k, patch) => onChange({ on: step.on.map((p, idx) => (idx === k ? { ...p, ...patch } : p)) });
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="grid grid-cols-3 gap-2">
+        <Select value={step.dataset} onChange={(e) => onChange({ dataset: e.target.value })}>
+          {datasets.map((d) => <option key={d.name} value={d.name}>{d.name}</option>)}
+        </Select>
+        <Select value={step.how} onChange={(e) => onChange({ how: e.target.value })}>
+          {["inner", "left", "right", "full", "anti"].map((h) => <option key={h} value={h}>{h}</option>)}
+        </Select>
+        <Input placeholder="suffix" value={step.suffix} onChange={(e) => onChange({ suffix: e.target.value })} />
+      </div>
+      {step.on.map((p, k) => (
+        <div key={k} className="grid grid-cols-5 gap-2 items-center">
+          <Select className="col-span-2" value={p.left} onChange={(e) => setKey(k, { left: e.target.value })}>
+            {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+          </Select>
+          <Select className="col-span-2" value={p.right} onChange={(e) => setKey(k, { right: e.target.value })}>
+            {otherSchema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+          </Select>
+          <SecondaryButton onClick={() => onChange({ on: step.on.filter((_, idx) => idx !== k) })}>x</SecondaryButton>
+        </div>
+      ))}
+      <SecondaryButton onClick={() => onChange({ on: [...step.on, { left: schema[0]?.name || "", right: otherSchema[0]?.name || "" }] })}>Add key</SecondaryButton>
+    </div>
+  );
+}
+
+// rows in and out, column changes, dropped error rows and the error of one pipeline step
+function StepStatus({ info }) {
+  if (!info) return null;
+  if (info.disabled) return <div className="mt-1 text-[11px] text-slate-500">Disabled, rows pass through</div>;
+  return (
+    <div className="mt-1 text-[11px]">
+      <div className="text-slate-500">
+        {info.rowsIn} rows in, {info.rowsOut} out
+        {info.added.length > 0 && `, added ${info.added.join(", ")}`}
+        {info.removed.length > 0 && `, removed ${info.removed.join(", ")}`}
+      </div>
+      {info.errorRows && (
+        <div className="mt-1 text-amber-700 dark:text-amber-300">
+          <div className="font-semibold">
+            {info.errorRows.count} {info.errorRows.count === 1 ? "row" : "rows"} dropped because the formula gave an error such as {info.errorRows.value}; wrap it in IFERROR to keep them
+          </div>
+          <pre className="whitespace-pre-wrap break-all">Row {info.errorRows.row + 1}: {JSON.stringify(info.errorRows.values)}</pre>
+        </div>
+      )}
+      {info.error && (
+        <div className="mt-1 text-red-700 dark:text-red-300">
+          <div className="font-semibold">{info.error.message}</div>
+          {info.error.row !== undefined && (
+            <pre className="whitespace-pre-wrap break-all">Row {info.error.row + 1}: {JSON.stringify(info.error.values)}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GroupByStepEditor({ step, schema, onChange }) {
+  const setAgg = (k, patch) => onChange({ aggs: step.aggs.map((a, idx) => (idx === k ? { ...a, ...patch } : a)) });
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="text-xs">Group by</div>
+      <MultiSelect fields={schema.map((s) => s.name)} value={step.keys} onChange={(keys) => onChange({ keys })} />
+      <div className="text-xs">Outputs</div>
+      {step.aggs.map((a, k) => (
+        <div key={k} className="grid grid-cols-7 gap-2 items-center">
+          <Select className="col-span-2" value={a.col} onChange={(e) => setAgg(k, { col: e.target.value })}>
+            {a.fn === "count" && <option value="">(rows)</option>}
+            {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+          </Select>
+          <Select className="col-span-2" value={a.fn} onChange={(e) => setAgg(k, { fn: e.target.value, col: a.col || e.target.value === "count" ? a.col : schema[0]?.name || "" })}>
+            {GROUP_AGGREGATORS.map((f) => <option key={f} value={f}>{f === "countDistinct" ? "count distinct" : f}</option>)}
+          </Select>
+          <Input className="col-span-2" placeholder={`${a.fn}_${a.col || "rows"}`} value={a.as} onChange={(e) => setAgg(k, { as: e.target.value })} />
+          <SecondaryButton onClick={() => onChange({ aggs: step.aggs.filter((_, idx) => idx !== k) })}>x</SecondaryButton>
+        </div>
+      ))}
+      <div className="grid grid-cols-2 gap-2">
+        <SecondaryButton onClick={() => onChange({ aggs: [...step.aggs, { col: schema[0]?.name || "", fn: "count", as: "" }] })}>Add output</SecondaryButton>
+        {step.aggs.some((a) => a.fn === "concatenate") && (
+          <Input placeholder="delimiter" value={step.delim} onChange={(e) => onChange({ delim: e.target.value })} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+const WINDOW_LABELS = {
+  runningSum: "running sum", runningAvg: "running average", rank: "rank", denseRank: "dense rank", rowNumber: "row number",
+  percentOfTotal: "percent of partition total", movingAvg: "moving average", lag: "lag", lead: "lead",
+};
+
+function WindowStepEditor({ step, schema, onChange }) {
+  const setCalc = (k, patch) => onChange({ calcs: step.calcs.map((c, idx) => (idx === k ? { ...c, ...patch } : c)) });
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="text-xs">Partition by</div>
+      <MultiSelect fields={schema.map((s) => s.name)} value={step.partitionBy} onChange={(partitionBy) => onChange({ partitionBy })} />
+      <div className="grid grid-cols-2 gap-2">
+        <Select value={step.orderBy} onChange={(e) => onChange({ orderBy: e.target.value })}>
+          <option value="">(input order)</option>
+          {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+        </Select>
+        <Select value={step.dir} onChange={(e) => onChange({ dir: e.target.value })}>
+          <option value="asc">asc</option>
+          <option value="desc">desc</option>
+        </Select>
+      </div>
+      <div className="text-xs">Calculations</div>
+      {step.calcs.map((c, k) => (
+        <div key={k} className="grid grid-cols-8 gap-2 items-center">
+          <Select className="col-span-2" value={c.fn} onChange={(e) => setCalc(k, { fn: e.target.value })}>
+            {WINDOW_FUNCTIONS.map((f) => <option key={f} value={f}>{WINDOW_LABELS[f]}</option>)}
+          </Select>
+          <Select className="col-span-2" value={c.col} disabled={["rank", "denseRank", "rowNumber"].includes(c.fn)} onChange={(e) => setCalc(k, { col: e.target.value })}>
+            {schema.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+          </Select>
+          <Input placeholder="n" type="number" min={1} value={c.n} disabled={!WINDOW_OFFSET_FUNCTIONS.includes(c.fn)} onChange={(e) => setCalc(k, { n: Math.max(1, Number(e.target.value) || 1) })} />
+          <Input className="col-span-2" placeholder={`${c.fn}_${c.col || step.orderBy}`} value={c.as} onChange={(e) => setCalc(k, { as: e.target.value })} />
+          <SecondaryButton onClick={() => onChange({ calcs: step.calcs.filter((_, idx) => idx !== k) })}>x</SecondaryButton>
+        </div>
+      ))}
+      <SecondaryButton onClick={() => onChange({ calcs: [...step.calcs, { fn: "rank", col: step.orderBy, as: "", n: 3 }] })}>Add calculation</SecondaryButton>
+    </div>
+  );
+}
+
+// uppercase names are ours; expr-eval's lowercase built-ins are left out of completion
+const FORMULA_FUNCTIONS = Object.keys(createExcelParser([]).functions).filter((n) => /^[A-Z]/.test(n));
+const MEASURE_FUNCTIONS = Object.keys(createMeasureParser([]).functions).filter((n) => /^[A-Z]/.test(n));
+const ALL_DOCS = { ...FUNCTION_DOCS, ...MEASURE_DOCS };
+
+const TOKEN_COLORS = {
+  string: "text-emerald-700 dark:text-emerald-400",
+  number: "text-amber-700 dark:text-amber-400",
+  function: "text-sky-700 dark:text-sky-400",
+  column: "text-violet-700 dark:text-violet-400",
+  name: "text-slate-900 dark:text-slate-100",
+  op: "text-slate-500",
+  unknown: "text-red-600",
+  space: "",
+};
+
+// the innermost function call around the caret and the index of the argument being typed
+function activeCall(tokens, caret) {
+  const stack = [];
+  tokens.forEach((t, k) => {
+    if (t.start >= caret) return;
+    if (t.text === "(") stack.push({ name: tokens[k - 1]?.type === "name" ? tokens[k - 1].text : null, arg: 0 });
+    else if (t.text === ")") stack.pop();
+    else if (t.text === "," && stack.length) stack[stack.length - 1].arg++;
+  });
+  return [...stack].reverse().find((c) => c.name) || null;
+}
+
+// Formula input with highlighting, completion of columns and functions, signature
+// help, the location of parse errors and the result on the first rows.
+// rows are the rows the formula runs against; previewing evaluates the first few
+// with measure set, functions aggregate over all rows and the preview is the one
+// value the measure gives for them. rows may be a sample; exact is the worker's
+// { expr, values } preview over the full input, shown once it matches the formula
+function FormulaEditor({ value, onChange, columns, rows = [], exact, placeholder, previewCount = 5, measure = false, measures = [], measureName = "" }) {
+  const ref = useRef(null);
+  const preRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [focused, setFocused] = useState(false);
+  const [pick, setPick] = useState(0);
+  const tokens = useMemo(() => tokenizeFormula(value), [value]);
+  const error = useMemo(() => (value.trim() ? formulaError(value) : null), [value]);
+  const columnSet = useMemo(() => new Set(columns), [columns]);
+
+  // inside an open [ only columns are offered, and always in bracketed form
+  const before = value.slice(0, caret);
+  const bracket = before.match(/\[((?:[^\]]|\]\])*)$/);
+  const word = bracket ? bracket[0] : before.match(/[A-Za-z_][A-Za-z0-9_]*$/)?.[0] || "";
+  const prefix = (bracket ? bracket[1].replace(/\]\]/g, "]") : word).toLowerCase();
+  const suggestions = !focused || !word ? [] : [
+    ...columns.map((c) => ({ name: c, kind: "column", insert: bracket ? `[${c.replace(/]/g, "]]")}]` : columnRef(c) })),
+    ...(bracket ? [] : (measure ? MEASURE_FUNCTIONS : FORMULA_FUNCTIONS).map((f) => ({ name: f, kind: "function", insert: `${f}(` }))),
+  ].filter((o) => o.name.toLowerCase().startsWith(prefix) && o.insert !== word).slice(0, 8);
+  const call = focused ? activeCall(tokens, caret) : null;
+  const docs = measure ? ALL_DOCS : FUNCTION_DOCS;
+  const doc = call && docs[call.name.toUpperCase()];
+
+  const fromWorker = exact && exact.expr === value;
+  const preview = useMemo(() => {
+    if (!value.trim() || error || !rows.length) return [];
+    if (fromWorker) return exact.values;
+    if (measure) {
+      try { return [{ value: evaluateMeasure(value, rows, columns, measures, measureName ? [measureName] : []), label: "All rows" }]; }
+      catch (e) { return [{ error: e.message, label: "All rows" }]; }
+    }
+    const expr = createExcelParser(rows).parse(value);
+    return rows.slice(0, previewCount).map((r) => {
+      try { return { value: expr.evaluate(r) }; }
+      catch (e) { return { error: e.message }; }
+    });
+  }, [value, error, rows, columns, previewCount, measure, measures, measureName, fromWorker, exact]);
+  // until the step reruns, functions that scan a column only see the sample rows
+  const sampleOnly = exact !== undefined && !fromWorker && tokens.some((t) => t.type === "name" && COLUMN_FUNCTIONS.has(t.text.toUpperCase()));
+
+  const syncCaret = () => setCaret(ref.current?.selectionStart ?? 0);
+  const accept = (o) => {
+    const start = caret - word.length;
+    const pos = start + o.insert.length;
+    onChange(value.slice(0, start) + o.insert + value.slice(caret));
+    setPick(0);
+    requestAnimationFrame(() => {
+      ref.current?.setSelectionRange(pos, pos);
+      setCaret(pos);
+    });
+  };
+  const onKeyDown = (e) => {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown") { e.preventDefault(); setPick((p) => (p + 1) % suggestions.length); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setPick((p) => (p - 1 + suggestions.length) % suggestions.length); }
+    else if (e.key === "Enter" || e.key === "Tab") { e.preventDefault(); accept(suggestions[Math.min(pick, suggestions.length - 1)]); }
+    else if (e.key === "Escape") setFocused(false);
+  };
+
+  const kindOf = (t, k) => {
+    if (t.type === "ref") {
+      const m = t.text.match(/^(?:'((?:[^']|'')*)')?\[((?:[^\]]|\]\])*)\]$/);
+      const col = m?.[2].replace(/\]\]/g, "]");
+      return m && (columnSet.has(col) || columnSet.has(`${(m[1] || "").replace(/''/g, "'")}.${col}`)) ? "column" : "unknown";
+    }
+    if (t.type !== "name") return t.type;
+    const next = tokens[k + 1]?.type === "space" ? tokens[k + 2] : tokens[k + 1];
+    if (next?.text === "(") return "function";
+    return columnSet.has(t.text) ? "column" : "name";
+  };
+  const box = "w-full rounded-xl border px-3 py-2 text-sm font-mono leading-5 whitespace-pre-wrap break-all";
+  return (
+    <div className="relative">
+      <div className="relative rounded-xl bg-white dark:bg-slate-900">
+        <pre ref={preRef} aria-hidden className={`${box} absolute inset-0 m-0 border-transparent overflow-hidden pointer-events-none`}>
+          {tokens.map((t, k) => (
+            <span key={k} className={`${TOKEN_COLORS[kindOf(t, k)]} ${error && error.at === t.start ? "bg-red-200 dark:bg-red-900 rounded" : ""}`}>{t.text}</span>
+          ))}
+          {error && error.at >= value.length && <span className="bg-red-200 dark:bg-red-900 rounded"> </span>}
+          {"\n"}
+        </pre>
+        <textarea
+          ref={ref}
+          rows={Math.min(6, value.split("\n").length + Math.floor(value.length / 80))}
+          spellCheck={false}
+          placeholder={placeholder}
+          value={value}
+          className={`${box} relative block resize-none bg-transparent text-transparent caret-slate-900 dark:caret-slate-100 placeholder:text-slate-400 ${error ? "border-red-400 dark:border-red-700" : "border-slate-300 dark:border-slate-700"}`}
+          onChange={(e) => { onChange(e.target.value); setCaret(e.target.selectionStart); setPick(0); }}
+          onKeyDown={onKeyDown}
+          onKeyUp={syncCaret}
+          onClick={syncCaret}
+          onScroll={(e) => { if (preRef.current) preRef.current.scrollTop = e.target.scrollTop; }}
+          onFocus={() => { setFocused(true); syncCaret(); }}
+          onBlur={() => setFocused(false)}
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <div className="absolute z-20 mt-1 w-full max-w-md rounded-xl border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 shadow">
+          {suggestions.map((o, k) => (
+            <div
+              key={`${o.kind}:${o.name}`}
+              onMouseDown={(e) => { e.preventDefault(); accept(o); }}
+              className={`px-3 py-1 text-xs cursor-pointer ${k === pick ? "bg-slate-100 dark:bg-slate-800" : ""}`}
+            >
+              <span className={`font-mono ${TOKEN_COLORS[o.kind]}`}>{o.name}</span>
+              <span className="ml-2 text-slate-500">{o.kind === "function" ? docs[o.name]?.[1] || "function" : "column"}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {doc && !suggestions.length && (
+        <div className="mt-1 text-[11px] text-slate-600 dark:text-slate-300">
+          <span className="font-mono">
+            {call.name.toUpperCase()}(
+            {doc[0].slice(doc[0].indexOf("(") + 1, -1).split(", ").map((a, k, all) => (
+              <span key={k}>
+                <span className={k === Math.min(call.arg, all.length - 1) ? "font-bold underline" : ""}>{a}</span>
+                {k < all.length - 1 ? ", " : ""}
+              </span>
+            ))}
+            )
+          </span>
+          <span className="ml-2 text-slate-500">{doc[1]}</span>
+        </div>
+      )}
+      {error && (
+        <div className="mt-1 text-[11px] text-red-700 dark:text-red-300">Character {error.at + 1}: {error.message}</div>
+      )}
+      {preview.length > 0 && (
+        <div className="mt-1 flex flex-wrap gap-1 text-[11px]">
+          {preview.map((p, k) => (
+            <span key={k} className={`px-2 py-0.5 rounded-lg bg-slate-100 dark:bg-slate-800 ${p.error ? "text-red-700 dark:text-red-300" : ""}`} title={p.label || `Row ${k + 1}`}>
+              {p.error ? p.error : p.value instanceof Date ? p.value.toISOString().slice(0, 10) : String(p.value)}
+            </span>
+          ))}
+          {sampleOnly && <span className="px-1 py-0.5 text-slate-500">sample only, column functions see just these rows</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function MultiSelect({ fields, value, onChange }) {
   const toggle = (f) => { const set = new Set(value); if (set.has(f)) set.delete(f); else set.add(f); onChange(Array.from(set)); };
   return (
@@ -907,6 +2141,120 @@ function DataTable({ rows, schema }) {
   );
 }
 
+function ProfileView({ rows, schema, onFilter }) {
+  const profiles = useMemo(() => schema.map((s) => profileColumn(rows, s)), [rows, schema]);
+  if (!rows.length) return <div className="text-xs text-slate-500">No rows to profile.</div>;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {profiles.map((p) => (
+        <div key={p.name} className="rounded-2xl border border-slate-200 dark:border-slate-800 p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="font-semibold truncate">{p.name}</div>
+            <Tag>{p.type}</Tag>
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            <div><div className="text-slate-500">Blank</div>{p.blank}</div>
+            <div><div className="text-slate-500">Distinct</div>{p.distinct}</div>
+            {p.mean !== undefined && <div><div className="text-slate-500">Mean</div>{fmtNum(p.mean)}</div>}
+            {p.min !== undefined && <div><div className="text-slate-500">Min</div>{p.kind === "date" ? fmtDate(p.min) : fmtNum(p.min)}</div>}
+            {p.max !== undefined && <div><div className="text-slate-500">Max</div>{p.kind === "date" ? fmtDate(p.max) : fmtNum(p.max)}</div>}
+          </div>
+          {p.histogram && (
+            <div className="flex items-end gap-px h-12" title={`${p.kind === "date" ? fmtDate(p.min) : fmtNum(p.min)} to ${p.kind === "date" ? fmtDate(p.max) : fmtNum(p.max)}`}>
+              {p.histogram.map((n, i) => (
+                <div key={i} className="flex-1 bg-slate-400 dark:bg-slate-500 rounded-t" style={{ height: `${Math.max(2, (n / Math.max(...p.histogram)) * 100)}%` }} title={String(n)} />
+              ))}
+            </div>
+          )}
+          <div className="space-y-0.5">
+            {p.top.map(({ value, count }) => (
+              <button key={String(value)} type="button" onClick={() => onFilter(p.name, value)} className="w-full flex items-center gap-2 text-xs text-left hover:bg-slate-100 dark:hover:bg-slate-800 rounded px-1" title="Add a filter step for this value">
+                <span className="truncate flex-1">{value === "" ? <em className="text-slate-500">(blank)</em> : value instanceof Date ? value.toISOString() : String(value)}</span>
+                <span className="text-slate-500">{count}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+  function fmtNum(n) { return Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(n); }
+  function fmtDate(t) { return new Date(t).toISOString().slice(0, 10); }
+}
+
+// picks a column or a measure; a measure is stored as agg "measure" with its name as
+// the field, and picking a column again restores the default sum
+function ValueSelect({ fields, measures, field, agg, onChange }) {
+  const current = agg === "measure" ? `measure:${field}` : `column:${field}`;
+  const pick = (v) => {
+    const [kind, ...rest] = v.split(":");
+    const name = rest.join(":");
+    if (kind === "measure") onChange(name, "measure");
+    else onChange(name, agg === "measure" ? "sum" : agg);
+  };
+  return (
+    <Select value={current} onChange={(e) => pick(e.target.value)}>
+      <optgroup label="Columns">
+        {fields.map((s) => <option key={s.name} value={`column:${s.name}`}>{s.name}</option>)}
+      </optgroup>
+      {measures.length > 0 && (
+        <optgroup label="Measures">
+          {measures.map((m) => <option key={m.name} value={`measure:${m.name}`}>{m.name}</option>)}
+        </optgroup>
+      )}
+    </Select>
+  );
+}
+
+// value fields of the pivot, each a column with an aggregator or a measure, with an
+// optional display name
+function PivotValuesEditor({ fields, measures, values, valuesOn, onChange, onValuesOn }) {
+  const update = (k, patch) => onChange(values.map((v, i) => (i === k ? { ...v, ...patch } : v)));
+  return (
+    <div>
+      <div className="text-xs mb-1">Values</div>
+      <div className="space-y-2">
+        {values.map((v, k) => (
+          <div key={k} className="rounded-xl border border-slate-200 dark:border-slate-800 p-2 space-y-1">
+            <div className="grid grid-cols-2 gap-1">
+              <ValueSelect fields={fields} measures={measures} field={v.field} agg={v.agg} onChange={(field, agg) => update(k, { field, agg })} />
+              <AggSelect value={v.agg} p={v.p} onChange={(patch) => update(k, patch)} />
+            </div>
+            <div className="flex items-center gap-1">
+              <Input placeholder={valueLabel({ ...v, as: "" })} value={v.as || ""} onChange={(e) => update(k, { as: e.target.value })} />
+              <SecondaryButton onClick={() => onChange(values.filter((_, i) => i !== k))} disabled={values.length < 2}>Remove</SecondaryButton>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 grid grid-cols-2 gap-1">
+        <SecondaryButton onClick={() => onChange([...values, { field: fields[0]?.name || "", agg: "sum" }])}>Add value</SecondaryButton>
+        <Select value={valuesOn} onChange={(e) => onValuesOn(e.target.value)} disabled={values.length < 2}>
+          <option value="columns">Values on columns</option>
+          <option value="rows">Values on rows</option>
+        </Select>
+      </div>
+    </div>
+  );
+}
+
+// a measure brings its own aggregation, so the aggregator is fixed while one is picked;
+// percentile also takes p from 0 to 100. onChange gets the changed { agg } or { p }
+const AGG_NAMES = { countDistinct: "count distinct", stdev: "std deviation", var: "variance" };
+function AggSelect({ value, p, onChange }) {
+  if (value === "measure") return <Select value="measure" disabled><option value="measure">measure</option></Select>;
+  return (
+    <div className="flex gap-1">
+      <Select value={value} onChange={(e) => onChange({ agg: e.target.value })}>
+        {PIVOT_AGGREGATORS.map((a) => <option key={a} value={a}>{AGG_NAMES[a] || a}</option>)}
+      </Select>
+      {value === "percentile" && (
+        <Input type="number" min={0} max={100} className="w-20 shrink-0" title="Percentile, 0 to 100" value={p ?? 50} onChange={(e) => onChange({ p: Number(e.target.value) })} />
+      )}
+    </div>
+  );
+}
+
 function DragFieldPicker({ label, fields, value, onChange }) {
   return (
     <div>
@@ -992,108 +2340,164 @@ function ChartArea({ spec, data }) {
   return null;
 }
 
-function PivotTable({ result, compact }) {
+// Rows and columns are the member trees from buildPivot; a collapsed member shows its
+// subtotal in place of its children. The outline layout indents row members in one
+// column with each subtotal above its children, the tabular layout gives every row
+// field its own column and a total line after each group. Column subtotals follow
+// their children. Several value fields sit side by side under each column, or with
+// valuesOn "rows" on a line each under every row.
+function PivotTable({ result, valuesOn = "columns", layout = "outline", compact }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
   if (!result) return null;
-  const { values, rowKeys, colKeys } = result;
+  const { fields, rowFields, colFields, rowItems, colItems, values, rowTotals, colTotals, grandTotal } = result;
+  const onRows = valuesOn === "rows" && fields.length > 1;
+  const per = onRows ? 1 : fields.length;
+  const keyOf = (axis, path) => `${axis}:${path.join("\u0000")}`;
+  const isOpen = (axis, path) => !collapsed.has(keyOf(axis, path));
+  const toggle = (axis, path) => setCollapsed((prev) => {
+    const next = new Set(prev);
+    const k = keyOf(axis, path);
+    if (next.has(k)) next.delete(k); else next.add(k);
+    return next;
+  });
+  const at = (i, j) => (i < 0 ? (j < 0 ? grandTotal : colTotals[j]) : j < 0 ? rowTotals[i] : values[i][j]);
+
+  // visible members in display order; groups listed in `after` get a total line or
+  // column once their children are done
+  const lines = (axis, items, after) => {
+    const out = [];
+    const pending = [];
+    const flush = (depth) => {
+      while (pending.length && pending[pending.length - 1].item.depth >= depth) out.push({ ...pending.pop(), subtotal: true });
+    };
+    items.forEach((item, i) => {
+      if (!item.path.slice(0, -1).every((_, d) => isOpen(axis, item.path.slice(0, d + 1)))) return;
+      flush(item.depth);
+      if (after && !item.leaf && isOpen(axis, item.path)) pending.push({ i, item });
+      else out.push({ i, item });
+    });
+    flush(0);
+    return out;
+  };
+  const rowLines = [...lines("r", rowItems, layout === "tabular"), { i: -1 }];
+  const colSlots = lines("c", colItems, true);
+  const rowLevels = Math.max(1, rowFields.length);
+  const colLevels = colFields.length;
+  const headRows = Math.max(1, colLevels) + (per > 1 ? 1 : 0);
+
+  const cell = "px-3 py-2 text-right";
+  const head = "px-3 py-2 whitespace-nowrap";
+  const label = (item) => item.path[item.path.length - 1];
+  const toggler = (axis, item) => !item.leaf && (
+    <button type="button" aria-expanded={isOpen(axis, item.path)} onClick={() => toggle(axis, item.path)}
+      className="mr-1 w-4 text-slate-500 hover:text-slate-900 dark:hover:text-slate-100">
+      {isOpen(axis, item.path) ? "-" : "+"}
+    </button>
+  );
+
+  const headerRows = Array.from({ length: Math.max(1, colLevels) }, (_, d) => {
+    const cells = [];
+    for (let s = 0; s < colSlots.length; s++) {
+      const { item, subtotal } = colSlots[s];
+      if (item.depth < d) continue;
+      if (item.depth === d) {
+        cells.push(
+          <th key={s} rowSpan={colLevels - d} colSpan={per} className={`${head} text-right`}>
+            {subtotal ? `${label(item)} Total` : <>{toggler("c", item)}{label(item)}</>}
+          </th>
+        );
+        continue;
+      }
+      // an expanded ancestor spans the slots beneath it, up to its own total column
+      const group = item.path.slice(0, d + 1);
+      let n = 1;
+      while (s + n < colSlots.length && colSlots[s + n].item.depth > d && colSlots[s + n].item.path.slice(0, d + 1).join("\u0000") === group.join("\u0000")) n++;
+      cells.push(
+        <th key={s} colSpan={n * per} className={`${head} text-center`}>
+          {toggler("c", { path: group, leaf: false })}{group[d]}
+        </th>
+      );
+      s += n - 1;
+    }
+    return (
+      <tr key={d}>
+        {d === 0 && (layout === "tabular"
+          ? Array.from({ length: rowLevels }, (_, k) => <th key={`r${k}`} rowSpan={headRows} className={`${head} text-left`}>{rowFields[k] || ""}</th>)
+          : <th rowSpan={headRows} className={`${head} text-left`}>{rowFields.join(" / ")}</th>)}
+        {d === 0 && onRows && <th rowSpan={headRows} className={`${head} text-left`}>Values</th>}
+        {cells}
+        {d === 0 && <th rowSpan={Math.max(1, colLevels)} colSpan={per} className={`${head} text-right`}>Row total</th>}
+      </tr>
+    );
+  });
+
+  const labelCells = (line, k, span) => {
+    const { item } = line;
+    if (line.i < 0) return <td key="label" rowSpan={span} colSpan={layout === "tabular" ? rowLevels : 1} className="px-3 py-2 align-top">Column total</td>;
+    if (layout !== "tabular") {
+      return (
+        <td key="label" rowSpan={span} className={`px-3 py-2 whitespace-nowrap align-top ${item.leaf ? "" : "font-semibold"}`} style={{ paddingLeft: `${0.75 + item.depth * 1.25}rem` }}>
+          {toggler("r", item)}{label(item)}
+        </td>
+      );
+    }
+    const prev = rowLines[k - 1]?.item;
+    const same = (d) => prev && prev.path.slice(0, d + 1).join("\u0000") === item.path.slice(0, d + 1).join("\u0000");
+    return [
+      ...item.path.slice(0, item.depth).map((v, d) => (
+        <td key={d} rowSpan={span} className="px-3 py-2 font-semibold whitespace-nowrap align-top">
+          {!same(d) && <>{toggler("r", { path: item.path.slice(0, d + 1), leaf: false })}{v}</>}
+        </td>
+      )),
+      <td key="label" rowSpan={span} colSpan={rowLevels - item.depth} className={`px-3 py-2 whitespace-nowrap align-top ${item.leaf ? "" : "font-semibold"}`}>
+        {line.subtotal ? `${label(item)} Total` : <>{toggler("r", item)}{label(item)}</>}
+      </td>,
+    ];
+  };
+  const bodyRows = rowLines.flatMap((line, k) => {
+    const strong = line.i < 0 || line.subtotal || (layout !== "tabular" && !line.item.leaf);
+    const shade = line.i < 0 ? "bg-slate-100 dark:bg-slate-800 font-semibold" : strong ? "bg-slate-50 dark:bg-slate-950 font-semibold" : "bg-white dark:bg-slate-900";
+    const slots = [...colSlots, { i: -1 }];
+    const rowKey = line.i < 0 ? "total" : keyOf("r", line.item.path) + (line.subtotal ? ":total" : "");
+    if (onRows) {
+      return fields.map((f, v) => (
+        <tr key={`${rowKey}:${v}`} className={shade}>
+          {v === 0 && labelCells(line, k, fields.length)}
+          <td className="px-3 py-2 whitespace-nowrap text-slate-500">{f.label}</td>
+          {slots.map((slot, s) => <td key={s} className={`${cell} ${slot.i < 0 || slot.subtotal ? "font-semibold" : ""}`}>{fmt(at(line.i, slot.i)[v])}</td>)}
+        </tr>
+      ));
+    }
+    return [
+      <tr key={rowKey} className={shade}>
+        {labelCells(line, k, 1)}
+        {slots.flatMap((slot, s) => at(line.i, slot.i).map((c, v) => (
+          <td key={`${s}:${v}`} className={`${cell} ${slot.i < 0 || slot.subtotal ? "font-semibold" : ""}`}>{fmt(c)}</td>
+        )))}
+      </tr>,
+    ];
+  });
+
   return (
     <div className="overflow-auto rounded-2xl border border-slate-200 dark:border-slate-800">
       <table className="w-full text-sm">
         <thead className="sticky top-0 bg-slate-100 dark:bg-slate-800">
-          <tr>
-            <th className="px-3 py-2 text-left"></th>
-            {colKeys.map((ck) => (<th key={ck} className="px-3 py-2 text-right whitespace-nowrap">{ck}</th>))}
-            <th className="px-3 py-2 text-right">Row total</th>
-          </tr>
-        </thead>
-        <tbody>
-          {rowKeys.map((rk, i) => (
-            <tr key={rk} className="odd:bg-white even:bg-slate-50 dark:odd:bg-slate-900 dark:even:bg-slate-950">
-              <td className="px-3 py-2 font-semibold whitespace-nowrap">{rk}</td>
-              {colKeys.map((ck, j) => (<td key={ck} className="px-3 py-2 text-right align-top">{fmt(values[i][j])}</td>))}
-              <td className="px-3 py-2 text-right font-semibold">{fmt(values[i].reduce((a, b) => a + (b || 0), 0))}</td>
+          {headerRows}
+          {per > 1 && (
+            <tr>
+              {[...colSlots, { i: -1 }].flatMap((slot, s) => fields.map((f, v) => (
+                <th key={`${s}:${v}`} className={`${head} text-right font-normal text-slate-500`}>{f.label}</th>
+              )))}
             </tr>
-          ))}
-          <tr className="bg-slate-100 dark:bg-slate-800 font-semibold">
-            <td className="px-3 py-2">Column total</td>
-            {colKeys.map((_, j) => (<td key={j} className="px-3 py-2 text-right">{fmt(values.reduce((a, row) => a + (row[j] || 0), 0))}</td>))}
-            <td className="px-3 py-2 text-right">{fmt(values.flat().reduce((a, b) => a + (b || 0), 0))}</td>
-          </tr>
-        </tbody>
+          )}
+        </thead>
+        <tbody>{bodyRows}</tbody>
       </table>
     </div>
   );
-  function fmt(n) { if (n === null || n === undefined) return ""; return Number.isFinite(n) ? Intl.NumberFormat().format(n) : String(n); }
-}
-
-function buildChartData(rows, spec) {
-  if (!rows || rows.length === 0) return [];
-  const { x, y, series, agg } = spec;
-  if (!series) {
-    const groups = groupBy(rows, (r) => r[x]);
-    return Object.entries(groups).map(([kx, arr]) => ({ [x]: kx, [y]: aggregate(arr, y, agg) }));
+  function fmt(n) {
+    if (n === null || n === undefined) return "";
+    if (n instanceof Date) return n.toISOString().slice(0, 10);
+    return Number.isFinite(n) ? Intl.NumberFormat().format(n) : String(n);
   }
-  const groups = groupBy(rows, (r) => r[x]);
-  const seriesVals = Array.from(new Set(rows.map((r) => r[series])));
-  return Object.entries(groups).map(([kx, arr]) => {
-    const obj = { [x]: kx };
-    seriesVals.forEach((sv) => {
-      const subset = arr.filter((r) => r[series] === sv);
-      obj[String(sv)] = aggregate(subset, y, agg);
-    });
-    return obj;
-  });
-}
-
-function buildPivot(rows, spec) {
-  if (!rows || rows.length === 0) return null;
-  const rowKeys = Array.from(new Set(rows.map((r) => spec.rows.map((k) => r[k]).join(" | "))));
-  const colKeys = Array.from(new Set(rows.map((r) => spec.cols.map((k) => r[k]).join(" | "))));
-  const values = rowKeys.map(() => colKeys.map(() => 0));
-  const idxRow = new Map(rowKeys.map((k, i) => [k, i]));
-  const idxCol = new Map(colKeys.map((k, i) => [k, i]));
-  for (const r of rows) {
-    const rk = spec.rows.map((k) => r[k]).join(" | ");
-    const ck = spec.cols.map((k) => r[k]).join(" | ");
-    const i = idxRow.get(rk);
-    const j = idxCol.get(ck);
-    const val = Number(r[spec.value]) || 0;
-    if (spec.agg === "sum" || spec.agg === "count") values[i][j] += spec.agg === "count" ? 1 : val;
-    if (spec.agg === "min") values[i][j] = values[i][j] === 0 ? val : Math.min(values[i][j], val);
-    if (spec.agg === "max") values[i][j] = Math.max(values[i][j], val);
-    if (spec.agg === "avg") { /* handled below */ }
-  }
-  if (spec.agg === "avg") {
-    const counts = rowKeys.map(() => colKeys.map(() => 0));
-    const idxRow2 = new Map(rowKeys.map((k, i) => [k, i]));
-    const idxCol2 = new Map(colKeys.map((k, i) => [k, i]));
-    for (const r of rows) {
-      const rk = spec.rows.map((k) => r[k]).join(" | ");
-      const ck = spec.cols.map((k) => r[k]).join(" | ");
-      const i = idxRow2.get(rk);
-      const j = idxCol2.get(ck);
-      const val = Number(r[spec.value]) || 0;
-      values[i][j] += val;
-      counts[i][j] += 1;
-    }
-    for (let i = 0; i < values.length; i++) {
-      for (let j = 0; j < values[0].length; j++) {
-        values[i][j] = counts[i][j] ? values[i][j] / counts[i][j] : 0;
-      }
-    }
-  }
-  return { rows, cols: [], values, rowKeys, colKeys };
-}
-
-function groupBy(arr, keyFn) {
-  return arr.reduce((acc, item) => { const k = keyFn(item); (acc[k] ||= []).push(item); return acc; }, {});
-}
-
-function aggregate(arr, field, agg) {
-  if (agg === "count") return arr.length;
-  const nums = arr.map((r) => Number(r[field]) || 0);
-  if (agg === "sum") return nums.reduce((a, b) => a + b, 0);
-  if (agg === "avg") return nums.reduce((a, b) => a + b, 0) / (nums.length || 1);
-  if (agg === "min") return Math.min(...nums);
-  if (agg === "max") return Math.max(...nums);
-  return 0;
 }
@@ -0,0 +1,1809 @@
+import { Parser } from "expr-eval";
+
+export const COLUMN_TYPES = ["string", "integer", "decimal", "percent", "currency", "boolean", "date"];
+// "number" and "real" come from older projects and compat imports
+export const NUMERIC_TYPES = ["number", "real", "integer", "decimal", "percent", "currency"];
+
+// aggregators of the groupBy step
+export const GROUP_AGGREGATORS = ["sum", "avg", "count", "countDistinct", "min", "max", "first", "last", "median", "concatenate"];
+
+// reductions the pivot and chart builders offer for a value field
+export const PIVOT_AGGREGATORS = ["sum", "avg", "count", "countDistinct", "min", "max", "median", "stdev", "var", "percentile", "first", "last"];
+
+// calculations of the window step; the ones in WINDOW_OFFSET_FUNCTIONS take a row count n
+export const WINDOW_FUNCTIONS = ["runningSum", "runningAvg", "rank", "denseRank", "rowNumber", "percentOfTotal", "movingAvg", "lag", "lead"];
+export const WINDOW_OFFSET_FUNCTIONS = ["movingAvg", "lag", "lead"];
+
+const CURRENCY_RE = /^\(?[-+]?\s?[$€£¥]\s?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\)?$|^\(?[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\s?[$€£¥]\)?$/;
+const ISO_DATE_RE = /^\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const YMD_DATE_RE = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/;
+const SLASH_DATE_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const TEXT_DATE_RE = /^([A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}[\s-][A-Za-z]{3,9}\.?,?[\s-]\d{4})$/;
+
+// type of a single cell; slash dates report dmy or mdy when the day part gives it away
+function inferType(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return { type: Number.isInteger(value) ? "integer" : "decimal" };
+  if (typeof value === "boolean") return { type: "boolean" };
+  if (value instanceof Date) return { type: "date", format: "iso" };
+  const s = String(value).trim();
+  if (/^(true|false|yes|no)$/i.test(s)) return { type: "boolean" };
+  if (/^[-+]?(\d{1,3}(,\d{3})+|\d+)$/.test(s)) return { type: "integer" };
+  if (/^[-+]?(\d{1,3}(,\d{3})+|\d+)?\.\d+$/.test(s)) return { type: "decimal" };
+  if (/^[-+]?(\d+(\.\d+)?|\.\d+)\s?%$/.test(s)) return { type: "percent" };
+  if (CURRENCY_RE.test(s)) return { type: "currency" };
+  if (ISO_DATE_RE.test(s)) return { type: "date", format: "iso" };
+  if (YMD_DATE_RE.test(s)) return { type: "date", format: "ymd" };
+  const m = s.match(SLASH_DATE_RE);
+  if (m) return { type: "date", format: Number(m[1]) > 12 ? "dmy" : Number(m[2]) > 12 ? "mdy" : "slash" };
+  if (TEXT_DATE_RE.test(s) && !isNaN(Date.parse(s.replace(/-/g, " ")))) return { type: "date", format: "text" };
+  return { type: "string" };
+}
+
+// whole-column inference: the winning type plus how many non-blank values agree with it
+function inferColumn(values, name = "") {
+  const counts = {};
+  const formats = new Set();
+  let filled = 0;
+  let allYears = true;
+  for (const v of values) {
+    const t = inferType(v);
+    if (!t) continue;
+    filled++;
+    counts[t.type] = (counts[t.type] || 0) + 1;
+    if (t.format) formats.add(t.format);
+    if (t.type !== "integer" || !/^\d{4}$/.test(String(v).trim()) || Number(v) < 1800 || Number(v) > 2200) allYears = false;
+  }
+  if (!filled) return { type: "string", confidence: 0, mixed: false };
+  if (counts.integer && counts.decimal) { counts.decimal += counts.integer; delete counts.integer; }
+  const [type, hits] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const col = { type, confidence: hits / filled, mixed: Object.keys(counts).length > 1 };
+  if (type === "date") col.format = formats.has("dmy") ? "dmy" : formats.has("mdy") || formats.has("slash") ? "mdy" : [...formats][0];
+  // four digit integers in a column named like a year are labels, not quantities
+  if (type === "integer" && allYears && /year|^yr$|^fy/i.test(name)) { col.type = "string"; col.note = "year label"; }
+  return col;
+}
+
+function sampleValues(rows, col, limit = 5000) {
+  const step = Math.max(1, Math.ceil(rows.length / limit));
+  const out = [];
+  for (let i = 0; i < rows.length; i += step) out.push(rows[i][col]);
+  return out;
+}
+
+export function buildSchema(rows) {
+  const first = rows[0] || {};
+  return Object.keys(first).map((k) => ({ name: k, ...inferColumn(sampleValues(rows, k), k) }));
+}
+
+// schema for pipeline output: keep known column types, infer the rest
+export function deriveSchema(rows, base) {
+  if (!rows.length) return base;
+  const known = new Map(base.map((s) => [s.name, s]));
+  return Object.keys(rows[0]).map((k) => known.get(k) || { name: k, ...inferColumn(sampleValues(rows, k), k) });
+}
+
+// cells that disagree with their column's inferred type, for import diagnostics
+export function typeMismatches(rows, schema) {
+  const out = [];
+  const cols = schema.filter((s) => s.mixed && s.type !== "string");
+  for (let i = 0; i < rows.length; i++) {
+    for (const { name, type } of cols) {
+      const t = inferType(rows[i][name]);
+      if (!t || t.type === type || (type === "decimal" && t.type === "integer")) continue;
+      out.push({ row: i, col: name, value: rows[i][name], expected: type });
+    }
+  }
+  return out;
+}
+
+function parseNumberLike(v, type) {
+  if (typeof v === "number") return v;
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  const n = Number(s.replace(/[()%$€£¥,\s]/g, ""));
+  if (isNaN(n)) return "";
+  const signed = /^\(.*\)$/.test(s) ? -n : n;
+  return type === "percent" && s.endsWith("%") ? signed / 100 : signed;
+}
+
+function parseDateValue(v, format) {
+  if (v instanceof Date) return v;
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  let m = s.match(YMD_DATE_RE) || (!s.includes(":") && s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/));
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  m = s.match(SLASH_DATE_RE);
+  if (m) {
+    const [a, b] = format === "dmy" ? [m[2], m[1]] : [m[1], m[2]];
+    return new Date(Number(m[3]), Number(a) - 1, Number(b));
+  }
+  const d = new Date(s.replace(/^(\d{1,2})-([A-Za-z]+)-(\d{4})$/, "$1 $2 $3"));
+  return isNaN(d.getTime()) ? "" : d;
+}
+
+function castValue(v, type, format) {
+  if (type === "string") return v === null || v === undefined ? "" : String(v);
+  if (type === "boolean") {
+    const s = String(v ?? "").trim().toLowerCase();
+    if (["true", "yes", "1"].includes(s)) return true;
+    if (["false", "no", "0"].includes(s)) return false;
+    return "";
+  }
+  if (type === "date") return parseDateValue(v, format);
+  const n = parseNumberLike(v, type);
+  return type === "integer" && n !== "" ? Math.round(n) : n;
+}
+
+function toNum(v) {
+  if (typeof v === "number") return v;
+  if (v === true) return 1;
+  if (v === false || v === null || v === undefined || v === "") return 0;
+  const s = String(v).replace(/,/g, "").trim();
+  const n = Number(s);
+  return isNaN(n) ? 0 : n;
+}
+
+const toStr = (v) => (v === null || v === undefined ? "" : String(v));
+
+// criteria builder for *IF functions
+function buildCriteria(crit) {
+  const s = String(crit).trim();
+  const ops = [">=","<=",">","<","=","!="];
+  for (const op of ops) {
+    if (s.startsWith(op)) {
+      const rhsRaw = s.slice(op.length).trim();
+      const rhs = rhsRaw.replace(/^"|"$/g, "");
+      return (v) => {
+        const a = toNum(v);
+        const b = toNum(rhsRaw);
+        if (op === ">=") return a >= b;
+        if (op === "<=") return a <= b;
+        if (op === ">") return a > b;
+        if (op === "<") return a < b;
+        if (op === "=") return String(v) === rhs;
+        if (op === "!=") return String(v) !== rhs;
+        return false;
+      };
+    }
+  }
+  const needle = s.replace(/^\\*=|^\\=|^contains:/i, "");
+  return (v) => toStr(v).toLowerCase().includes(needle.toLowerCase());
+}
+
+// Excel error values travel as their display text so that they survive the
+// worker's structured clone and show up in the table as they would in Excel
+const FORMULA_ERRORS = new Set(["#DIV/0!", "#N/A", "#VALUE!", "#NUM!", "#REF!"]);
+const isErrorValue = (v) => typeof v === "string" && FORMULA_ERRORS.has(v);
+
+// a number from a number or numeric text (thousands commas allowed), else null
+function asNumber(v) {
+  if (typeof v === "number") return isNaN(v) ? null : v;
+  if (typeof v !== "string") return null;
+  const s = v.replace(/,/g, "").trim();
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s) ? Number(s) : null;
+}
+
+// Excel serial dates count days from 1899-12-30, with the time as the fraction
+const fromSerial = (n) => new Date(1899, 11, 30 + Math.floor(n), 0, 0, Math.round((n - Math.floor(n)) * 86400));
+const serialOf = (d) => (Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) - Date.UTC(1899, 11, 30)) / 86400000
+  + (d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds()) / 86400;
+
+// a date argument read like Excel reads one: numbers are serial dates, blanks are
+// day 0 and text has to parse; null when it cannot be read
+function dateArg(v) {
+  if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+  if (typeof v === "number" || isBlank(v)) return fromSerial(toNum(v));
+  if (typeof v !== "string" || isErrorValue(v)) return null;
+  if (asNumber(v) !== null) return fromSerial(asNumber(v));
+  const d = parseDateValue(v, "mdy");
+  return d === "" ? null : d;
+}
+
+// * and ? wildcards as in Excel, ~ escaping either; whole text, any case
+function wildcardRe(pattern, anchored = true) {
+  const body = String(pattern).replace(/~([*?~])|([*?])|[.+^${}()|[\]\\/]/g, (m, lit, wild) => {
+    if (lit) return `\\${lit}`;
+    if (wild) return wild === "*" ? "[\\s\\S]*" : "[\\s\\S]";
+    return `\\${m}`;
+  });
+  return new RegExp(anchored ? `^${body}$` : body, "i");
+}
+
+// criteria of the *IFS functions as Excel reads them: an optional =, <>, <, >, <=
+// or >= and then a number, date or text. Text compares without regard to case and
+// takes wildcards; TRUE and FALSE are booleans; "" and "=" match blank cells, "<>"
+// non-blank ones.
+function excelCriteria(crit) {
+  let op = "=";
+  let rhs = crit;
+  if (typeof crit === "string") {
+    const m = crit.match(/^(<=|>=|<>|!=|=|<|>)?([\s\S]*)$/);
+    op = m[1] === "!=" ? "<>" : m[1] || "=";
+    rhs = /^(true|false)$/i.test(m[2]) ? m[2].toLowerCase() === "true" : m[2];
+  }
+  if (isBlank(rhs)) return (v) => (op === "=" ? isBlank(v) : op === "<>" ? !isBlank(v) : false);
+  const holds = (c) => ({ "=": c === 0, "<>": c !== 0, "<": c < 0, ">": c > 0, "<=": c <= 0, ">=": c >= 0 })[op];
+  const num = typeof rhs === "boolean" ? null : asNumber(rhs);
+  const date = rhs instanceof Date ? rhs : num !== null ? fromSerial(num) : typeof rhs === "string" ? dateArg(rhs) : null;
+  const text = typeof rhs === "string" && num === null ? rhs.toLowerCase() : null;
+  const pattern = text !== null && (op === "=" || op === "<>") ? wildcardRe(rhs) : null;
+  return (v) => {
+    if (isErrorValue(v) || isBlank(v)) return op === "<>";
+    if (v instanceof Date) return date ? holds(Math.sign(v - date)) : op === "<>";
+    const x = asNumber(v);
+    if (num !== null) return x !== null ? holds(Math.sign(x - num)) : op === "<>";
+    if (typeof rhs === "boolean") return typeof v === "boolean" ? holds(Number(v) - Number(rhs)) : op === "<>";
+    if (x !== null || typeof v === "boolean") return op === "<>";
+    if (pattern) return pattern.test(String(v)) === (op === "=");
+    const s = String(v).toLowerCase();
+    return holds(s < text ? -1 : s > text ? 1 : 0);
+  };
+}
+
+// lookup order as in Excel: numbers and dates, then text without regard to case,
+// then booleans; values of different kinds do not compare (NaN)
+const lookupKind = (v) => (typeof v === "boolean" ? 2 : v instanceof Date || asNumber(v) !== null ? 0 : 1);
+function lookupCompare(a, b) {
+  const kind = lookupKind;
+  if (kind(a) !== kind(b)) return NaN;
+  if (kind(a) === 0) {
+    const x = a instanceof Date ? serialOf(a) : asNumber(a);
+    const y = b instanceof Date ? serialOf(b) : asNumber(b);
+    return Math.sign(x - y);
+  }
+  const x = kind(a) === 2 ? Number(a) : toStr(a).toLowerCase();
+  const y = kind(b) === 2 ? Number(b) : toStr(b).toLowerCase();
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// values that lookupCompare finds equal share a key
+function lookupKey(v) {
+  if (typeof v === "boolean") return `b:${v}`;
+  const n = v instanceof Date ? serialOf(v) : asNumber(v);
+  return n !== null ? `n:${n}` : `t:${toStr(v).toLowerCase()}`;
+}
+
+// lookupKey of the values an *IFS criteria matches when it only matches equal
+// numbers or text; null for comparisons, wildcards, blanks and dates
+function criteriaKey(crit) {
+  if (typeof crit === "number") return lookupKey(crit);
+  if (typeof crit !== "string" || /^(<|>|!=)/.test(crit)) return null;
+  const rhs = crit.startsWith("=") ? crit.slice(1) : crit;
+  if (isBlank(rhs) || /[*?~]/.test(rhs)) return null;
+  if (/^(true|false)$/i.test(rhs)) return lookupKey(rhs.toLowerCase() === "true");
+  if (asNumber(rhs) !== null) return lookupKey(rhs);
+  return dateArg(rhs) ? null : lookupKey(rhs);
+}
+
+// index of the matching value for the lookup functions or -1. mode is "exact",
+// "wildcard" (exact, with * and ? in a text key), "smaller" (exact or the next
+// smaller value) or "larger"; reverse searches from the last value up
+function findMatch(values, key, mode, reverse = false) {
+  const pattern = mode === "wildcard" && typeof key === "string" && asNumber(key) === null ? wildcardRe(key) : null;
+  let best = -1;
+  for (let k = 0; k < values.length; k++) {
+    const i = reverse ? values.length - 1 - k : k;
+    const v = values[i];
+    if (isBlank(v) !== isBlank(key) || isErrorValue(v)) continue;
+    if (pattern) {
+      if (asNumber(v) === null && pattern.test(toStr(v))) return i;
+      continue;
+    }
+    const c = lookupCompare(v, key);
+    if (c === 0) return i;
+    if (mode === "smaller" && c < 0 && (best < 0 || lookupCompare(v, values[best]) > 0)) best = i;
+    if (mode === "larger" && c > 0 && (best < 0 || lookupCompare(v, values[best]) < 0)) best = i;
+  }
+  return best;
+}
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// an Excel number format split into its ; sections, each a list of literal text
+// and runs of format code. "Quoted" text and \x are literal, _x pads with a space,
+// *x fills and [Red] style colours and conditions are dropped
+function formatSections(format) {
+  const sections = [[]];
+  const re = /"([^"]*)"?|\\([\s\S])|_([\s\S])|\*([\s\S])|(\[[^\]]*\])|(;)|([\s\S])/g;
+  let m;
+  while ((m = re.exec(format))) {
+    const parts = sections[sections.length - 1];
+    if (m[6]) sections.push([]);
+    else if (m[7] !== undefined) {
+      const last = parts[parts.length - 1];
+      if (last && last.code !== undefined) last.code += m[7];
+      else parts.push({ code: m[7] });
+    } else parts.push({ lit: m[1] ?? m[2] ?? (m[3] !== undefined ? " " : "") });
+  }
+  return sections;
+}
+
+const isDateFormat = (parts) => {
+  const code = parts.map((p) => p.code || "").join("");
+  return /[ydhs]/i.test(code) || (/m/i.test(code) && !/[0#?]/.test(code));
+};
+
+function formatDatePart(d, parts) {
+  const tokens = parts.flatMap((p) => (p.code === undefined ? [{ lit: p.lit }]
+    : p.code.match(/yyyy|yy|mmmmm|mmmm|mmm|mm|m|dddd|ddd|dd|d|hh|h|ss|s|am\/pm|a\/p|[\s\S]/gi).map((t) => ({ t }))));
+  // m is minutes right after an hour or right before seconds, the month otherwise
+  const near = (k, step) => {
+    for (let i = k + step; tokens[i]; i += step) if (tokens[i].t && /^[ydhsm]/i.test(tokens[i].t)) return tokens[i].t[0].toLowerCase();
+    return null;
+  };
+  const twelve = tokens.some((x) => x.t && /^a\/p|^am\/pm/i.test(x.t));
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = d.getHours();
+  return tokens.map((x, k) => {
+    if (x.t === undefined) return x.lit;
+    const t = x.t.toLowerCase();
+    if (t === "yyyy") return String(d.getFullYear());
+    if (t === "yy") return pad(d.getFullYear() % 100);
+    if (t === "m" || t === "mm") {
+      const n = near(k, -1) === "h" || near(k, 1) === "s" ? d.getMinutes() : d.getMonth() + 1;
+      return t === "mm" ? pad(n) : String(n);
+    }
+    if (t.startsWith("mmm")) return t === "mmmmm" ? MONTH_NAMES[d.getMonth()][0] : t === "mmm" ? MONTH_NAMES[d.getMonth()].slice(0, 3) : MONTH_NAMES[d.getMonth()];
+    if (t === "d" || t === "dd") return t === "dd" ? pad(d.getDate()) : String(d.getDate());
+    if (t === "ddd" || t === "dddd") return t === "ddd" ? DAY_NAMES[d.getDay()].slice(0, 3) : DAY_NAMES[d.getDay()];
+    if (t === "h" || t === "hh") {
+      const n = twelve ? h % 12 || 12 : h;
+      return t === "hh" ? pad(n) : String(n);
+    }
+    if (t === "s" || t === "ss") return t === "ss" ? pad(d.getSeconds()) : String(d.getSeconds());
+    if (t === "am/pm" || t === "a/p") {
+      const s = h < 12 ? (t === "a/p" ? "a" : "am") : t === "a/p" ? "p" : "pm";
+      return x.t === x.t.toLowerCase() ? s : s.toUpperCase();
+    }
+    return x.t;
+  }).join("");
+}
+
+// a non-negative number in one placeholder such as #,##0.00, 0.0#, #,##0, (trailing
+// commas divide by a thousand) or 0.00E+00
+function formatPlaceholder(x, mask) {
+  const exp = mask.match(/[eE]([+-])([0#?]+)$/);
+  let m = exp ? mask.slice(0, exp.index) : mask;
+  const scale = m.match(/,+$/)?.[0].length || 0;
+  m = m.slice(0, m.length - scale);
+  x /= Math.pow(1000, scale);
+  const dot = m.indexOf(".");
+  const intMask = dot < 0 ? m : m.slice(0, dot);
+  const decMask = dot < 0 ? null : m.slice(dot + 1);
+  const decimals = decMask === null ? 0 : (decMask.match(/[0#?]/g) || []).length;
+  const minDecimals = decMask === null ? 0 : (decMask.replace(/[#?]+$/, "").match(/[0#?]/g) || []).length;
+  let exponent = 0;
+  if (exp && x) {
+    exponent = Math.floor(Math.log10(x));
+    x /= Math.pow(10, exponent);
+    if (Number(x.toFixed(decimals)) >= 10) { exponent++; x /= 10; }
+  }
+  let [i, f = ""] = x.toFixed(decimals).split(".");
+  f = f.replace(/0+$/, "").padEnd(minDecimals, "0");
+  const minInt = (intMask.match(/0/g) || []).length;
+  if (i === "0" && !minInt) i = "";
+  i = i.padStart(minInt, "0");
+  if (intMask.includes(",")) i = i.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  let out = i + (decMask === null ? "" : `.${f}`);
+  if (exp) out += `E${exponent < 0 ? "-" : exp[1] === "+" ? "+" : ""}${String(Math.abs(exponent)).padStart(exp[2].length, "0")}`;
+  return out;
+}
+
+// TEXT(value, format) with Excel format codes: up to four ; sections (positive,
+// negative, zero, text), number placeholders, % and exponents, and date codes
+function formatText(value, format) {
+  const sections = formatSections(String(format));
+  const n = value instanceof Date ? serialOf(value) : typeof value === "boolean" ? null : isBlank(value) ? 0 : asNumber(value);
+  if (n === null) {
+    const textSection = sections[3] || (sections.length === 1 && sections[0].some((p) => p.code?.includes("@")) ? sections[0] : null);
+    if (!textSection) return toStr(value);
+    return textSection.map((p) => (p.code === undefined ? p.lit : p.code.replace(/@/g, toStr(value)))).join("");
+  }
+  const parts = n < 0 && sections[1]?.length ? sections[1] : n === 0 && sections[2]?.length ? sections[2] : sections[0];
+  const code = parts.map((p) => p.code || "").join("");
+  if (/^\s*general\s*$/i.test(code)) return String(n);
+  if (isDateFormat(parts)) return formatDatePart(value instanceof Date ? value : fromSerial(n), parts);
+  const percent = (code.match(/%/g) || []).length;
+  const x = Math.abs(n) * Math.pow(100, percent);
+  const sign = n < 0 && parts === sections[0] ? "-" : "";
+  let placed = false;
+  const out = parts.map((p) => {
+    if (p.code === undefined) return p.lit;
+    return p.code.replace(/[0#?][0#?,.]*(?:[eE][+-][0#?]+)?|\.[0#?]+(?:[eE][+-][0#?]+)?/, (mask) => {
+      if (placed) return mask;
+      placed = true;
+      return formatPlaceholder(x, mask);
+    }).replace(/@/g, String(n));
+  }).join("");
+  return sign + out;
+}
+
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// how a column is written in a formula: bare when it is a valid identifier,
+// otherwise in brackets with ] doubled, e.g. [Total Sales] or [Margin [%]]]
+export function columnRef(name) {
+  return IDENTIFIER_RE.test(name) ? name : `[${String(name).replace(/]/g, "]]")}]`;
+}
+
+// arguments that name a column rather than take a row's value, by position; a
+// bracketed reference there becomes the column name
+const IFS_COLUMNS = (i) => i === 0 || i % 2 === 1;
+const COLUMN_ARGS = {
+  SUMIF: (i) => i === 0 || i === 2,
+  COUNTIF: (i) => i === 0,
+  AVERAGEIF: (i) => i === 0 || i === 2,
+  LOOKUP: (i) => i === 1 || i === 2,
+  SUMIFS: IFS_COLUMNS,
+  AVERAGEIFS: IFS_COLUMNS,
+  MAXIFS: IFS_COLUMNS,
+  MINIFS: IFS_COLUMNS,
+  COUNTIFS: (i) => i % 2 === 0,
+  VLOOKUP: (i) => i === 1 || i === 2,
+  XLOOKUP: (i) => i === 1 || i === 2,
+  MATCH: (i) => i === 1,
+  INDEX: (i) => i === 0,
+  NETWORKDAYS: (i) => i === 2,
+  MEDIAN: () => true,
+  STDEV: () => true,
+  PERCENTILE: (i) => i === 0,
+  RANK: (i) => i === 1,
+};
+
+// functions that read a whole column, whose result depends on every row
+export const COLUMN_FUNCTIONS = new Set(Object.keys(COLUMN_ARGS));
+
+// functions that look at error values themselves instead of passing them on
+const ERROR_AWARE = new Set(["IF", "IFS", "SWITCH", "IFERROR", "IFNA", "ISERROR", "ISNA", "ISBLANK", "ISNUMBER", "ISTEXT"]);
+
+// for each token, whether it is a whole argument in a COLUMN_ARGS position
+function columnArgTokens(tokens) {
+  const stack = [];
+  const near = (k, step) => {
+    do k += step; while (tokens[k]?.type === "space");
+    return tokens[k]?.text;
+  };
+  return tokens.map((t, k) => {
+    if (t.text === "(") stack.push({ name: tokens[k - 1]?.type === "name" ? tokens[k - 1].text.toUpperCase() : null, arg: 0 });
+    else if (t.text === ")") stack.pop();
+    else if (t.text === "," && stack.length) stack[stack.length - 1].arg++;
+    const call = stack[stack.length - 1];
+    return !!(call && COLUMN_ARGS[call.name]?.(call.arg) && ["(", ","].includes(near(k, -1)) && [",", ")"].includes(near(k, 1)));
+  });
+}
+
+// column names given as quoted strings where a function takes a column, such as
+// "Region" in SUMIF("Region", "x", [Amt]), with the offsets of their literals
+export function quotedColumnArgs(expr) {
+  const tokens = tokenizeFormula(String(expr || ""));
+  const columnArg = columnArgTokens(tokens);
+  return tokens
+    .filter((t, k) => columnArg[k] && t.type === "string" && t.text.length > 1 && t.text.endsWith(t.text[0]))
+    .map((t) => ({ name: t.text.slice(1, -1).replace(/\\(.)/g, "$1"), start: t.start, end: t.start + t.text.length }));
+}
+
+// Rewrites [Column] and 'Table'[Column] references into plain identifiers that
+// expr-eval accepts. has(name) tells whether a column exists so that 'Table'[Column]
+// can resolve to a "Table.Column" column before falling back to Column. Returns the
+// rewritten text, a map of each generated identifier to its column name and the
+// names passed as column arguments.
+function rewriteColumnRefs(expr, has) {
+  const tokens = tokenizeFormula(expr);
+  const columnArg = columnArgTokens(tokens);
+  const refs = new Map();
+  const aliases = new Map();
+  const named = new Set();
+  const text = tokens.map((t, k) => {
+    if (t.type !== "ref") return t.text;
+    const m = t.text.match(/^(?:'((?:[^']|'')*)')?\[((?:[^\]]|\]\])*)\]$/);
+    if (!m) throw new Error("Column reference is missing its closing ]");
+    const column = m[2].replace(/\]\]/g, "]");
+    const qualified = m[1] !== undefined ? `${m[1].replace(/''/g, "'")}.${column}` : null;
+    const name = qualified && has(qualified) ? qualified : column;
+    if (columnArg[k]) {
+      named.add(name);
+      return JSON.stringify(name);
+    }
+    if (!aliases.has(name)) {
+      aliases.set(name, `__col${aliases.size}`);
+      refs.set(aliases.get(name), name);
+    }
+    return aliases.get(name);
+  }).join("");
+  return { text, refs, named };
+}
+
+// Excel-like function parser bound to current rows
+export function createExcelParser(rowsRef) {
+  const parser = new Parser();
+
+  // bracketed references are rewritten before parsing and looked up per row
+  const parse = parser.parse.bind(parser);
+  parser.parse = (text) => {
+    const has = (n) => rowsRef.length > 0 && n in rowsRef[0];
+    const { text: rewritten, refs, named } = rewriteColumnRefs(String(text), has);
+    const readable = (e) => {
+      if (refs.size) e.message = String(e.message || e).replace(/__col\d+/g, (a) => (refs.has(a) ? columnRef(refs.get(a)) : a));
+      return e;
+    };
+    let compiled;
+    try {
+      compiled = parse(rewritten);
+    } catch (e) {
+      throw readable(e);
+    }
+    const evaluate = compiled.evaluate.bind(compiled);
+    const variables = compiled.variables.bind(compiled);
+    compiled.evaluate = (row = {}) => {
+      let scope = row;
+      if (refs.size) {
+        scope = Object.create(row);
+        for (const [alias, name] of refs) if (name in row) scope[alias] = row[name];
+      }
+      try {
+        return evaluate(scope);
+      } catch (e) {
+        throw readable(e);
+      }
+    };
+    // column names, including the ones a bracketed reference passes to SUMIF and co.
+    compiled.variables = (options) => [...new Set([...variables(options).map((v) => refs.get(v) || v), ...named])];
+    return compiled;
+  };
+
+  // date functions get their first argument as a Date, or give #VALUE!
+  const dated = (fn) => (v, ...rest) => {
+    const d = dateArg(v);
+    return d ? fn(d, ...rest) : "#VALUE!";
+  };
+  // column arguments: known(name) tells whether the rows have it
+  const known = (name) => !rowsRef.length || name in rowsRef[0];
+  const column = (name) => (known(name) ? rowsRef.map((r) => r[name]) : null);
+
+  // Per-column indexes and memoised results keep the row-scanning functions from
+  // making a calculated field quadratic. Both are built on first use and kept until
+  // useRows points the parser at other rows.
+  const indexes = new Map();
+  const memos = [];
+  const indexed = (kind, col, build) => {
+    const key = `${kind}\u0001${col}`;
+    if (!indexes.has(key)) indexes.set(key, build());
+    return indexes.get(key);
+  };
+  const groupRowNumbers = (col, keyOf) => {
+    const m = new Map();
+    rowsRef.forEach((r, i) => {
+      const k = keyOf(r[col]);
+      if (k === null) return;
+      if (!m.has(k)) m.set(k, []);
+      m.get(k).push(i);
+    });
+    return m;
+  };
+  // row numbers by String(value), for the "=value" criteria of SUMIF and co. and LOOKUP
+  const byText = (col) => indexed("text", col, () => groupRowNumbers(col, String));
+  // row numbers by lookupKey, for exact lookups and *IFS equality criteria
+  const byValue = (col) => indexed("value", col, () => groupRowNumbers(col, (v) => (isErrorValue(v) ? null : lookupKey(v))));
+  // row numbers ordered by kind, value and row, for approximate lookups
+  const ordered = (col) => indexed("ordered", col, () => {
+    const entries = [];
+    rowsRef.forEach((r, i) => {
+      const v = r[col];
+      if (isBlank(v) || isErrorValue(v)) return;
+      const kind = lookupKind(v);
+      const key = kind === 0 ? (v instanceof Date ? serialOf(v) : asNumber(v)) : kind === 2 ? Number(v) : toStr(v).toLowerCase();
+      entries.push({ i, kind, key });
+    });
+    entries.sort((a, b) => a.kind - b.kind || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0) || a.i - b.i);
+    return entries.map((e) => e.i);
+  });
+  const memo = (fn) => {
+    const results = new Map();
+    memos.push(results);
+    return (...args) => {
+      const key = args.map((a) => (a instanceof Date ? `d:${a.getTime()}` : `${typeof a}:${a}`)).join("\u0001");
+      if (!results.has(key)) results.set(key, fn(...args));
+      return results.get(key);
+    };
+  };
+
+  // logical
+  parser.consts.TRUE = true;
+  parser.consts.FALSE = false;
+  parser.functions.IF = (c, a, b) => (isErrorValue(c) ? c : c ? a : b);
+  parser.functions.AND = (...xs) => xs.every(Boolean);
+  parser.functions.OR  = (...xs) => xs.some(Boolean);
+  parser.functions.NOT = (x) => !x;
+  parser.functions.IFS = (...pairs) => {
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      if (isErrorValue(pairs[i])) return pairs[i];
+      if (pairs[i]) return pairs[i + 1];
+    }
+    return "#N/A";
+  };
+  parser.functions.SWITCH = (x, ...cases) => {
+    if (isErrorValue(x)) return x;
+    for (let i = 0; i + 1 < cases.length; i += 2) {
+      if (lookupCompare(x, cases[i]) === 0) return cases[i + 1];
+    }
+    return cases.length % 2 ? cases[cases.length - 1] : "#N/A";
+  };
+
+  // errors; NaN and infinities from expr-eval's own functions count as errors too
+  const failed = (x) => isErrorValue(x) || (typeof x === "number" && !isFinite(x));
+  parser.functions.IFERROR = (x, alt) => (failed(x) ? alt : x);
+  parser.functions.IFNA = (x, alt) => (x === "#N/A" ? alt : x);
+  parser.functions.ISERROR = (x) => failed(x);
+  parser.functions.ISNA = (x) => x === "#N/A";
+
+  // type
+  parser.functions.ISBLANK = (x) => x === null || x === undefined || x === "";
+  parser.functions.ISNUMBER = (x) => typeof x === "number" || (!isNaN(Number(String(x).replace(/,/g, ""))));
+  parser.functions.ISTEXT = (x) => typeof x === "string" && !isErrorValue(x);
+  parser.functions.N = (x) => toNum(x);
+  parser.functions.VALUE = (x) => {
+    if (typeof x === "number") return x;
+    if (x instanceof Date) return serialOf(x);
+    if (isBlank(x)) return 0;
+    const s = toStr(x).trim();
+    if (typeof x === "string" && /^\(?[-+]?\s?[$€£¥]?\s?(\d[\d,]*\.?\d*|\.\d+)\s?[$€£¥%]?\)?$/.test(s)) return parseNumberLike(s, "percent");
+    const d = typeof x === "string" ? parseDateValue(s, "mdy") : "";
+    return d === "" ? "#VALUE!" : serialOf(d);
+  };
+  // math
+  parser.functions.ABS = Math.abs;
+  parser.functions.ROUND = (x, d = 0) => { const p = Math.pow(10, d); return Math.round(toNum(x) * p) / p; };
+  parser.functions.FLOOR = (x) => Math.floor(toNum(x));
+  parser.functions.CEILING = (x) => Math.ceil(toNum(x));
+  parser.functions.MIN = (...xs) => Math.min(...xs.map(toNum));
+  parser.functions.MAX = (...xs) => Math.max(...xs.map(toNum));
+  parser.functions.SQRT = (x) => (toNum(x) < 0 ? "#NUM!" : Math.sqrt(toNum(x)));
+  parser.functions.DIVIDE = (a, b, alt = "") => (toNum(b) === 0 ? alt : toNum(a) / toNum(b));
+
+  // text
+  parser.functions.LEN = (t) => toStr(t).length;
+  parser.functions.LEFT = (t, n) => toStr(t).slice(0, n);
+  parser.functions.RIGHT = (t, n) => toStr(t).slice(-n);
+  parser.functions.MID = (t, s, n) => toStr(t).substr(Math.max(0, s - 1), n);
+  parser.functions.UPPER = (t) => toStr(t).toUpperCase();
+  parser.functions.LOWER = (t) => toStr(t).toLowerCase();
+  parser.functions.PROPER = (t) => toStr(t).replace(/\\w\\S*/g, (w) => w[0].toUpperCase() + w.slice(1).toLowerCase());
+  parser.functions.TRIM = (t) => toStr(t).trim().replace(/\\s+/g, " ");
+  parser.functions.CONCAT  = (...xs) => xs.map(toStr).join("");
+  parser.functions.CONCATENATE = (...xs) => xs.map(toStr).join("");
+  parser.functions.TEXTJOIN = (d, ignoreEmpty, ...xs) => xs.filter((x) => !ignoreEmpty || !parser.functions.ISBLANK(x)).map(toStr).join(d);
+  parser.functions.SUBSTITUTE = (t, oldS, newS) => toStr(t).split(toStr(oldS)).join(toStr(newS));
+  parser.functions.TEXT = (x, format) => formatText(x, format);
+  parser.functions.REPT = (t, n) => {
+    const k = Math.trunc(toNum(n));
+    return k < 0 || toStr(t).length * k > 32767 ? "#VALUE!" : toStr(t).repeat(k);
+  };
+  // FIND is case-sensitive and literal, SEARCH ignores case and takes wildcards;
+  // both count from 1 and give #VALUE! when the text is not there
+  const findIn = (needle, within, start, re) => {
+    const s = toStr(within);
+    const from = Math.trunc(toNum(start));
+    if (from < 1 || from > s.length + 1) return "#VALUE!";
+    const at = re ? s.slice(from - 1).search(re) : s.indexOf(toStr(needle), from - 1);
+    return at < 0 ? "#VALUE!" : re ? at + from : at + 1;
+  };
+  parser.functions.FIND = (needle, within, start = 1) => findIn(needle, within, start, null);
+  parser.functions.SEARCH = (needle, within, start = 1) => findIn(needle, within, start, wildcardRe(toStr(needle), false));
+
+  // dates
+  parser.functions.TODAY = () => new Date();
+  parser.functions.NOW = () => new Date();
+  parser.functions.DATE = (y, m, d) => new Date(y, m - 1, d);
+  parser.functions.YEAR = dated((d) => d.getFullYear());
+  parser.functions.MONTH = dated((d) => d.getMonth() + 1);
+  parser.functions.DAY = dated((d) => d.getDate());
+  parser.functions.DATEDIF = (a, b, unit) => {
+    const d1 = dateArg(a), d2 = dateArg(b);
+    if (!d1 || !d2) return "#VALUE!";
+    const diffMs = d2 - d1; const day = 1000*60*60*24;
+    if (unit === "d") return Math.floor(diffMs / day);
+    if (unit === "m") return Math.floor((d2.getFullYear() - d1.getFullYear())*12 + (d2.getMonth() - d1.getMonth()));
+    if (unit === "y") return d2.getFullYear() - d1.getFullYear();
+    return Math.floor(diffMs / day);
+  };
+  parser.functions.DATEVALUE = (x) => {
+    const d = x instanceof Date ? x : typeof x === "string" && !isBlank(x.trim()) ? parseDateValue(x, "mdy") : "";
+    return d === "" ? "#VALUE!" : new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  };
+  parser.functions.EOMONTH = dated((d, months = 0) => new Date(d.getFullYear(), d.getMonth() + Math.trunc(toNum(months)) + 1, 0));
+  parser.functions.EDATE = dated((d, months = 0) => {
+    const m = d.getMonth() + Math.trunc(toNum(months));
+    return new Date(d.getFullYear(), m, Math.min(d.getDate(), new Date(d.getFullYear(), m + 1, 0).getDate()));
+  });
+  // return types 1 (Sunday = 1), 2 (Monday = 1), 3 (Monday = 0) and 11 to 17
+  // (Monday to Sunday = 1)
+  parser.functions.WEEKDAY = dated((d, type = 1) => {
+    const day = d.getDay();
+    if (type === 1) return day + 1;
+    if (type === 2) return ((day + 6) % 7) + 1;
+    if (type === 3) return (day + 6) % 7;
+    if (type >= 11 && type <= 17) return ((day - ((type - 10) % 7) + 7) % 7) + 1;
+    return "#NUM!";
+  });
+  // week 1 holds January 1st and weeks start on Sunday (1, 17), Monday (2, 11) or
+  // Tuesday to Saturday (12 to 16); 21 is the ISO week
+  parser.functions.WEEKNUM = dated((d, type = 1) => {
+    if (type === 21) {
+      const t = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+      t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7));
+      return Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    }
+    const start = type === 1 || type === 17 ? 0 : type === 2 || type === 11 ? 1 : type >= 12 && type <= 16 ? type - 10 : null;
+    if (start === null) return "#NUM!";
+    const jan1 = new Date(d.getFullYear(), 0, 1);
+    const dayOfYear = Math.round((new Date(d.getFullYear(), d.getMonth(), d.getDate()) - jan1) / 86400000);
+    return Math.floor((dayOfYear + ((jan1.getDay() - start + 7) % 7)) / 7) + 1;
+  });
+  // holidays is a column of dates or a single date
+  const holidays = (h) => {
+    if (isBlank(h)) return new Set();
+    if (typeof h === "string" && rowsRef.length && h in rowsRef[0]) {
+      return indexed("holidays", h, () => new Set(column(h).map(dateArg).filter((d) => d).map((d) => Math.floor(serialOf(d)))));
+    }
+    const d = dateArg(h);
+    return d ? new Set([Math.floor(serialOf(d))]) : null;
+  };
+  parser.functions.NETWORKDAYS = (start, end, h) => {
+    const a = dateArg(start), b = dateArg(end);
+    const off = holidays(h);
+    if (!a || !b || !off) return "#VALUE!";
+    const [from, to] = a <= b ? [a, b] : [b, a];
+    let count = 0;
+    for (let n = Math.floor(serialOf(from)); n <= Math.floor(serialOf(to)); n++) {
+      // serial day 0 was a Saturday
+      if (((n % 7) + 7) % 7 > 1 && !off.has(n)) count++;
+    }
+    return a <= b ? count : -count;
+  };
+
+  // rows where col meets a buildCriteria criteria; "=value" goes through the index
+  const rowsWhere = (col, criteria) => {
+    const s = String(criteria).trim();
+    if (s.startsWith("=")) return (byText(col).get(s.slice(1).trim().replace(/^"|"$/g, "")) || []).map((i) => rowsRef[i]);
+    const pred = buildCriteria(criteria);
+    return rowsRef.filter((r) => pred(r[col]));
+  };
+  parser.functions.SUMIF = memo((col, criteria, sumCol) => rowsWhere(col, criteria).reduce((acc, r) => acc + toNum(sumCol ? r[sumCol] : r[col]), 0));
+  parser.functions.COUNTIF = memo((col, criteria) => rowsWhere(col, criteria).length);
+  parser.functions.AVERAGEIF = memo((col, criteria, avgCol) => {
+    const rows = rowsWhere(col, criteria);
+    return rows.length ? rows.reduce((acc, r) => acc + toNum(avgCol ? r[avgCol] : r[col]), 0) / rows.length : 0;
+  });
+
+  parser.functions.LOOKUP = (key, keyCol, retCol) => {
+    const hit = byText(keyCol).get(String(key));
+    return hit ? rowsRef[hit[0]][retCol] : null;
+  };
+
+  // SUMIFS and co. take the aggregated column first and then (column, criteria)
+  // pairs read as in Excel; text and blanks in the aggregated column are skipped
+  const matching = (pairs) => {
+    if (!pairs.length || pairs.length % 2) return "#VALUE!";
+    const tests = [];
+    // only the rows of the narrowest plain equality criteria need testing
+    let candidates = null;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!known(pairs[i])) return "#REF!";
+      tests.push([pairs[i], excelCriteria(pairs[i + 1])]);
+      const key = criteriaKey(pairs[i + 1]);
+      if (key === null) continue;
+      const hit = byValue(pairs[i]).get(key) || [];
+      if (!candidates || hit.length < candidates.length) candidates = hit;
+    }
+    const rows = candidates ? candidates.map((i) => rowsRef[i]) : rowsRef;
+    return rows.filter((r) => tests.every(([c, test]) => test(r[c])));
+  };
+  const numbersOf = (rows, col) => {
+    if (typeof rows === "string") return rows;
+    if (!known(col)) return "#REF!";
+    const xs = [];
+    for (const r of rows) {
+      if (isErrorValue(r[col])) return r[col];
+      const x = r[col] instanceof Date ? serialOf(r[col]) : asNumber(r[col]);
+      if (x !== null) xs.push(x);
+    }
+    return xs;
+  };
+  const ifs = (fn) => (col, ...pairs) => {
+    const xs = numbersOf(matching(pairs), col);
+    return typeof xs === "string" ? xs : fn(xs);
+  };
+  parser.functions.SUMIFS = memo(ifs((xs) => xs.reduce((a, b) => a + b, 0)));
+  parser.functions.AVERAGEIFS = memo(ifs((xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : "#DIV/0!")));
+  parser.functions.MAXIFS = memo(ifs((xs) => (xs.length ? xs.reduce((a, b) => Math.max(a, b)) : 0)));
+  parser.functions.MINIFS = memo(ifs((xs) => (xs.length ? xs.reduce((a, b) => Math.min(a, b)) : 0)));
+  parser.functions.COUNTIFS = memo((...pairs) => {
+    const rows = matching(pairs);
+    return typeof rows === "string" ? rows : rows.length;
+  });
+
+  // findMatch over a column through its indexes; only wildcard keys scan the rows
+  const matchIn = (col, key, mode, reverse = false) => {
+    if (mode === "wildcard" && typeof key === "string" && asNumber(key) === null && /[*?~]/.test(key)) return findMatch(column(col), key, mode, reverse);
+    const exact = byValue(col).get(lookupKey(key));
+    if (exact) return reverse ? exact[exact.length - 1] : exact[0];
+    if ((mode !== "smaller" && mode !== "larger") || isBlank(key)) return -1;
+    // position of the first value above key, then the run of equal values next to it
+    const order = ordered(col);
+    const value = (p) => rowsRef[order[p]][col];
+    const above = (p) => lookupKind(value(p)) - lookupKind(key) || lookupCompare(value(p), key);
+    let lo = 0, hi = order.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (above(mid) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    let p = mode === "smaller" ? lo - 1 : lo;
+    if (p < 0 || p >= order.length || lookupKind(value(p)) !== lookupKind(key)) return -1;
+    const step = reverse ? 1 : -1;
+    while (order[p + step] !== undefined && lookupCompare(value(p + step), value(p)) === 0) p += step;
+    return order[p];
+  };
+  // lookups give #N/A when nothing matches and #REF! for a column that is not there
+  const lookup = (key, keyCol, retCol, mode, reverse) => {
+    if (!known(keyCol) || !known(retCol)) return "#REF!";
+    const i = matchIn(keyCol, key, mode, reverse);
+    return i < 0 ? "#N/A" : rowsRef[i][retCol];
+  };
+  parser.functions.VLOOKUP = (key, keyCol, retCol, approximate = true) => lookup(key, keyCol, retCol, approximate ? "smaller" : "wildcard");
+  parser.functions.XLOOKUP = (key, keyCol, retCol, ifNotFound = "#N/A", matchMode = 0, searchMode = 1) => {
+    const mode = { 0: "exact", "-1": "smaller", 1: "larger", 2: "wildcard" }[matchMode];
+    if (!mode) return "#VALUE!";
+    const found = lookup(key, keyCol, retCol, mode, searchMode < 0);
+    return found === "#N/A" ? ifNotFound : found;
+  };
+  parser.functions.MATCH = (key, col, type = 1) => {
+    if (!known(col)) return "#REF!";
+    const i = matchIn(col, key, type > 0 ? "smaller" : type < 0 ? "larger" : "wildcard");
+    return i < 0 ? "#N/A" : i + 1;
+  };
+  parser.functions.INDEX = (col, n) => {
+    const values = column(col);
+    const i = Math.trunc(toNum(n));
+    if (!values) return "#REF!";
+    return i >= 1 && i <= values.length ? values[i - 1] : "#REF!";
+  };
+
+  // statistics read a column name as the whole column, skipping blanks and text,
+  // and any other argument as a number
+  const columnNumbers = (col) => indexed("numbers", col, () => numbersOf(rowsRef, col));
+  const numbersIn = (args) => {
+    const xs = [];
+    for (const a of args) {
+      if (typeof a === "string" && rowsRef.length && a in rowsRef[0]) {
+        const col = columnNumbers(a);
+        if (typeof col === "string") return col;
+        xs.push(...col);
+      } else if (!isBlank(a)) {
+        const x = a instanceof Date ? serialOf(a) : typeof a === "boolean" ? Number(a) : asNumber(a);
+        if (x === null) return "#VALUE!";
+        xs.push(x);
+      }
+    }
+    return xs;
+  };
+  const sorted = (xs) => [...xs].sort((a, b) => a - b);
+  parser.functions.MEDIAN = memo((...args) => {
+    const xs = numbersIn(args);
+    if (typeof xs === "string") return xs;
+    if (!xs.length) return "#NUM!";
+    const s = sorted(xs);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+  });
+  parser.functions.STDEV = memo((...args) => {
+    const xs = numbersIn(args);
+    if (typeof xs === "string") return xs;
+    if (xs.length < 2) return "#DIV/0!";
+    const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    return Math.sqrt(xs.reduce((a, x) => a + (x - mean) ** 2, 0) / (xs.length - 1));
+  });
+  // inclusive percentile, interpolating between neighbours like PERCENTILE.INC
+  parser.functions.PERCENTILE = memo((range, k) => {
+    const xs = numbersIn([range]);
+    if (typeof xs === "string") return xs;
+    const p = toNum(k);
+    if (!xs.length || p < 0 || p > 1) return "#NUM!";
+    const s = sorted(xs);
+    const pos = p * (s.length - 1);
+    const lo = Math.floor(pos);
+    return lo + 1 < s.length ? s[lo] + (pos - lo) * (s[lo + 1] - s[lo]) : s[lo];
+  });
+  // 1 for the largest value, or the smallest with a non-zero order; ties share a rank
+  const sortedNumbers = (range) => {
+    if (typeof range !== "string" || !rowsRef.length || !(range in rowsRef[0])) {
+      const xs = numbersIn([range]);
+      return typeof xs === "string" ? xs : sorted(xs);
+    }
+    return indexed("sorted", range, () => {
+      const xs = columnNumbers(range);
+      return typeof xs === "string" ? xs : sorted(xs);
+    });
+  };
+  // first position in ascending xs whose value is above v (or at least v)
+  const bound = (xs, v, inclusive) => {
+    let lo = 0, hi = xs.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (inclusive ? xs[mid] < v : xs[mid] <= v) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  parser.functions.RANK = (x, range, order = 0) => {
+    const xs = sortedNumbers(range);
+    if (typeof xs === "string") return xs;
+    const v = x instanceof Date ? serialOf(x) : asNumber(x);
+    if (v === null) return "#VALUE!";
+    const first = bound(xs, v, true);
+    const after = bound(xs, v, false);
+    if (first === after) return "#N/A";
+    return order ? 1 + first : 1 + xs.length - after;
+  };
+
+  // an error value in any argument is the result, except for the functions that
+  // look at errors themselves
+  for (const name of Object.keys(parser.functions)) {
+    if (!/^[A-Z]/.test(name) || ERROR_AWARE.has(name)) continue;
+    const fn = parser.functions[name];
+    parser.functions[name] = (...args) => args.find(isErrorValue) ?? fn(...args);
+  }
+  // operators pass error values on; dividing by zero gives #DIV/0! and arithmetic
+  // on text #VALUE!, as in Excel
+  for (const op of ["+", "-", "*", "/", "%", "^", "==", "!=", "<", ">", "<=", ">=", "||"]) {
+    const fn = parser.binaryOps[op];
+    const arithmetic = "+-*/%^".includes(op);
+    parser.binaryOps[op] = (a, b) => {
+      if (isErrorValue(a)) return a;
+      if (isErrorValue(b)) return b;
+      if ((op === "/" || op === "%") && Number(b) === 0) return "#DIV/0!";
+      const out = fn(a, b);
+      return arithmetic && Number.isNaN(out) ? (op === "^" ? "#NUM!" : "#VALUE!") : out;
+    };
+  }
+  const negate = parser.unaryOps["-"];
+  parser.unaryOps["-"] = (x) => (isErrorValue(x) ? x : Number.isNaN(negate(x)) ? "#VALUE!" : negate(x));
+
+  // expressions already parsed keep working and see the new rows
+  parser.useRows = (rows) => {
+    rowsRef = rows;
+    indexes.clear();
+    memos.forEach((m) => m.clear());
+  };
+  return parser;
+}
+
+// signature and one-line description of every function createExcelParser registers,
+// for the formula editor
+export const FUNCTION_DOCS = {
+  IF: ["IF(condition, then, otherwise)", "then when condition is true, otherwise otherwise"],
+  AND: ["AND(a, b, ...)", "true when every argument is true"],
+  OR: ["OR(a, b, ...)", "true when any argument is true"],
+  NOT: ["NOT(x)", "true when x is false"],
+  IFS: ["IFS(condition1, value1, condition2, value2, ...)", "value of the first true condition, #N/A when none is"],
+  SWITCH: ["SWITCH(x, case1, value1, ..., default)", "value of the first case equal to x, else default or #N/A"],
+  IFERROR: ["IFERROR(x, alternate)", "alternate when x is an error such as #DIV/0! or #N/A, otherwise x"],
+  IFNA: ["IFNA(x, alternate)", "alternate when x is #N/A, otherwise x"],
+  ISERROR: ["ISERROR(x)", "true when x is an error value"],
+  ISNA: ["ISNA(x)", "true when x is #N/A"],
+  ISBLANK: ["ISBLANK(x)", "true for an empty cell"],
+  ISNUMBER: ["ISNUMBER(x)", "true when x reads as a number"],
+  ISTEXT: ["ISTEXT(x)", "true when x is text"],
+  N: ["N(x)", "x as a number, 0 when it is not one"],
+  VALUE: ["VALUE(text)", "number in text such as \"1,234\", \"50%\" or \"($12)\"; a date gives its serial number"],
+  ABS: ["ABS(x)", "absolute value"],
+  ROUND: ["ROUND(x, digits)", "x rounded to digits decimal places"],
+  FLOOR: ["FLOOR(x)", "x rounded down to a whole number"],
+  CEILING: ["CEILING(x)", "x rounded up to a whole number"],
+  MIN: ["MIN(a, b, ...)", "smallest argument"],
+  MAX: ["MAX(a, b, ...)", "largest argument"],
+  SQRT: ["SQRT(x)", "square root; #NUM! for a negative x"],
+  DIVIDE: ["DIVIDE(a, b, alternate)", "a / b, or alternate (blank by default) when b is 0"],
+  LEN: ["LEN(text)", "number of characters"],
+  LEFT: ["LEFT(text, n)", "first n characters"],
+  RIGHT: ["RIGHT(text, n)", "last n characters"],
+  MID: ["MID(text, start, n)", "n characters from position start, counting from 1"],
+  UPPER: ["UPPER(text)", "text in upper case"],
+  LOWER: ["LOWER(text)", "text in lower case"],
+  PROPER: ["PROPER(text)", "text with each word capitalised"],
+  TRIM: ["TRIM(text)", "text without leading, trailing or repeated spaces"],
+  CONCAT: ["CONCAT(a, b, ...)", "arguments joined as text"],
+  CONCATENATE: ["CONCATENATE(a, b, ...)", "arguments joined as text"],
+  TEXTJOIN: ["TEXTJOIN(delimiter, ignoreEmpty, a, b, ...)", "arguments joined with delimiter, skipping blanks when ignoreEmpty"],
+  SUBSTITUTE: ["SUBSTITUTE(text, old, new)", "text with every old replaced by new"],
+  TEXT: ["TEXT(value, format)", "value formatted with an Excel format code, e.g. \"#,##0.00\", \"0%\" or \"yyyy-mm-dd\""],
+  REPT: ["REPT(text, n)", "text repeated n times"],
+  FIND: ["FIND(find, text, start)", "position of find in text, matching case; #VALUE! when absent"],
+  SEARCH: ["SEARCH(find, text, start)", "position of find in text, ignoring case and allowing * and ?; #VALUE! when absent"],
+  TODAY: ["TODAY()", "the current date"],
+  NOW: ["NOW()", "the current date and time"],
+  DATE: ["DATE(year, month, day)", "a date from its parts"],
+  YEAR: ["YEAR(date)", "year of a date"],
+  MONTH: ["MONTH(date)", "month of a date, 1 to 12"],
+  DAY: ["DAY(date)", "day of the month"],
+  DATEDIF: ["DATEDIF(start, end, unit)", "whole days, months or years between two dates; unit is \"d\", \"m\" or \"y\""],
+  DATEVALUE: ["DATEVALUE(text)", "the date written in text"],
+  EOMONTH: ["EOMONTH(date, months)", "last day of the month months after date"],
+  EDATE: ["EDATE(date, months)", "the same day months after date, or the month's last day"],
+  WEEKDAY: ["WEEKDAY(date, type)", "day of the week, 1 for Sunday; type 2 counts from Monday"],
+  WEEKNUM: ["WEEKNUM(date, type)", "week of the year; type 2 starts weeks on Monday, 21 gives the ISO week"],
+  NETWORKDAYS: ["NETWORKDAYS(start, end, holidays)", "weekdays from start to end inclusive, less holidays (a date column or a date)"],
+  SUMIF: ["SUMIF(column, criteria, sumColumn)", "sum of sumColumn over all rows where column matches criteria; columns in quotes or as [Column]"],
+  COUNTIF: ["COUNTIF(column, criteria)", "number of rows where column matches criteria, e.g. \">=100\" or \"=Nigeria\""],
+  AVERAGEIF: ["AVERAGEIF(column, criteria, avgColumn)", "average of avgColumn over rows where column matches criteria"],
+  LOOKUP: ["LOOKUP(key, keyColumn, returnColumn)", "returnColumn of the first row whose keyColumn equals key"],
+  SUMIFS: ["SUMIFS(sumColumn, column1, criteria1, ...)", "sum of sumColumn over rows matching every criteria, e.g. \"<>EU\", \">=100\" or \"A*\""],
+  COUNTIFS: ["COUNTIFS(column1, criteria1, ...)", "number of rows matching every criteria"],
+  AVERAGEIFS: ["AVERAGEIFS(avgColumn, column1, criteria1, ...)", "average of avgColumn over rows matching every criteria"],
+  MAXIFS: ["MAXIFS(maxColumn, column1, criteria1, ...)", "largest maxColumn over rows matching every criteria"],
+  MINIFS: ["MINIFS(minColumn, column1, criteria1, ...)", "smallest minColumn over rows matching every criteria"],
+  VLOOKUP: ["VLOOKUP(key, keyColumn, returnColumn, approximate)", "returnColumn where keyColumn equals key; approximate (default TRUE) takes the largest value not above key"],
+  XLOOKUP: ["XLOOKUP(key, keyColumn, returnColumn, ifNotFound, matchMode, searchMode)", "returnColumn where keyColumn matches key; matchMode 0 exact, -1 next smaller, 1 next larger, 2 wildcard; searchMode -1 searches from the end"],
+  MATCH: ["MATCH(key, column, type)", "row number of key in column; type 0 exact, 1 largest value not above, -1 smallest not below"],
+  INDEX: ["INDEX(column, row)", "value of column in the given row, counting from 1"],
+  MEDIAN: ["MEDIAN(column or value, ...)", "middle value"],
+  STDEV: ["STDEV(column or value, ...)", "sample standard deviation"],
+  PERCENTILE: ["PERCENTILE(column, k)", "k-th percentile for k from 0 to 1, interpolated"],
+  RANK: ["RANK(value, column, order)", "rank of value in column, 1 for the largest; order 1 ranks from the smallest"],
+};
+
+const FORMULA_TOKEN_RE = /(\s+)|((?:'(?:[^']|'')*')?\[(?:[^\]]|\]\])*\]?)|("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)|((?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([A-Za-z_$][\w$.]*)|(\|\||==|!=|<=|>=|[-+*/%^!<>?:()[\],;=])|(.)/gy;
+const FORMULA_TOKEN_TYPES = ["space", "ref", "string", "number", "name", "op", "unknown"];
+
+// tokens of a formula with their start offsets, for highlighting and error location
+export function tokenizeFormula(expr) {
+  const tokens = [];
+  FORMULA_TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = FORMULA_TOKEN_RE.exec(expr))) {
+    const k = m.slice(1).findIndex((g) => g !== undefined);
+    tokens.push({ type: FORMULA_TOKEN_TYPES[k], text: m[0], start: m.index });
+  }
+  return tokens;
+}
+
+// null for a formula that parses, otherwise { message, at } where at is the offset of
+// the first token that cannot continue a valid formula, or the end when it is incomplete
+export function formulaError(expr) {
+  const parser = createExcelParser([]);
+  const fail = (text) => {
+    try {
+      parser.parse(text);
+      return null;
+    } catch (e) {
+      return e.message || String(e);
+    }
+  };
+  if (!fail(expr)) return null;
+  const clean = (m) => m.replace(/^parse error \[\d+:\d+\]:\s*/, "").replace(/^unexpected T[A-Z]+: (.*)$/, "Unexpected \"$1\"")
+    .replace(/^Expected EOF$/, "Expected an operator or the end of the formula");
+  for (const t of tokenizeFormula(expr)) {
+    if (t.type === "space") continue;
+    const m = fail(expr.slice(0, t.start + t.text.length));
+    if (m && !/TEOF/.test(m)) return { message: clean(m), at: t.start };
+  }
+  return { message: "Formula is incomplete; check for a missing argument or closing parenthesis", at: expr.length };
+}
+
+// Measures aggregate over a set of rows rather than one row. Inside a measure a
+// column name evaluates to the name itself, so SUM(events) sums the events column.
+// Every aggregate takes optional (column, criteria) pairs that narrow the rows,
+// e.g. SUM(fatalities, country, "=Nigeria"); criteria are read like SUMIFS reads them.
+export function createMeasureParser(rows) {
+  const parser = createExcelParser(rows);
+  const useRows = parser.useRows;
+  parser.useRows = (next) => {
+    rows = next;
+    useRows(next);
+  };
+  const scoped = (filters) => {
+    let out = rows;
+    for (let i = 0; i + 1 < filters.length; i += 2) {
+      const col = filters[i];
+      const pred = excelCriteria(filters[i + 1]);
+      out = out.filter((r) => pred(r[col]));
+    }
+    return out;
+  };
+  const values = (col, filters) => scoped(filters).map((r) => r[col]).filter((v) => v !== null && v !== undefined && v !== "");
+  const numbers = (col, filters) => values(col, filters).map(toNum);
+
+  parser.functions.SUM = (col, ...filters) => numbers(col, filters).reduce((a, b) => a + b, 0);
+  parser.functions.AVERAGE = (col, ...filters) => {
+    const xs = numbers(col, filters);
+    return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : "";
+  };
+  parser.functions.MIN = (col, ...filters) => { const xs = numbers(col, filters); return xs.length ? Math.min(...xs) : ""; };
+  parser.functions.MAX = (col, ...filters) => { const xs = numbers(col, filters); return xs.length ? Math.max(...xs) : ""; };
+  parser.functions.COUNT = (col, ...filters) => values(col, filters).length;
+  parser.functions.DISTINCTCOUNT = (col, ...filters) => new Set(values(col, filters).map(String)).size;
+  parser.functions.COUNTROWS = (...filters) => scoped(filters).length;
+  return parser;
+}
+
+// the aggregates createMeasureParser adds or redefines, for the formula editor
+export const MEASURE_DOCS = {
+  SUM: ["SUM(column, filterColumn, criteria, ...)", "total of column over the rows in context"],
+  AVERAGE: ["AVERAGE(column, filterColumn, criteria, ...)", "mean of the non-blank values of column"],
+  MIN: ["MIN(column, filterColumn, criteria, ...)", "smallest value of column"],
+  MAX: ["MAX(column, filterColumn, criteria, ...)", "largest value of column"],
+  COUNT: ["COUNT(column, filterColumn, criteria, ...)", "number of non-blank values of column"],
+  DISTINCTCOUNT: ["DISTINCTCOUNT(column, filterColumn, criteria, ...)", "number of different non-blank values of column"],
+  COUNTROWS: ["COUNTROWS(filterColumn, criteria, ...)", "number of rows in context"],
+};
+
+// value of a measure over rows; columns lists the names a measure may refer to and
+// measures the other measures it may use
+export function evaluateMeasure(expr, rows, columns, measures = [], within = []) {
+  return compileMeasure(expr, rows, columns, measures, within)(rows);
+}
+
+// a measure parsed once against rows, as a function giving its value over any subset
+// of them; throws like parse when the formula is invalid. A name that is not a column
+// but another measure gives that measure's value over the same subset; within lists
+// the measures being compiled, so a measure that ends up using itself throws.
+export function compileMeasure(expr, rows, columns, measures = [], within = []) {
+  const scope = Object.fromEntries(columns.map((c) => [c, c]));
+  const parser = createMeasureParser(rows);
+  const compiled = parser.parse(expr);
+  const deps = [];
+  for (const name of compiled.variables()) {
+    const measure = name in scope ? null : measures.find((m) => m.name === name);
+    if (!measure) continue;
+    if (within.includes(name)) throw new Error(`Circular measure reference: ${[...within, name].join(" -> ")}`);
+    deps.push([name, compileMeasure(measure.expr, rows, columns, measures, [...within, name])]);
+  }
+  return (subset) => {
+    for (const [name, value] of deps) scope[name] = value(subset);
+    parser.useRows(subset);
+    return compiled.evaluate(scope);
+  };
+}
+
+// maps fn over rows; an exception is rethrown with the index and values of the
+// row it failed on so the pipeline can point at it
+function eachRow(rows, fn) {
+  return rows.map((r, i) => {
+    try {
+      return fn(r);
+    } catch (e) {
+      throw Object.assign(new Error(e.message || String(e)), { row: i, values: r });
+    }
+  });
+}
+
+// one pipeline step; returns new rows and leaves its input untouched so cached
+// datasets can be reused across runs. ctx carries the other datasets by name; info,
+// when given, gets what the step has to report besides its rows.
+export function applyStep(rows, step, ctx, info = {}) {
+  let out = rows;
+  if (step.type === "filter") {
+    const expr = createExcelParser(out).parse(step.expr);
+    // a row whose formula gives an error value is dropped and counted, not fatal
+    const values = eachRow(out, (r) => expr.evaluate(r));
+    const failed = values.filter(isErrorValue).length;
+    if (failed) {
+      const row = values.findIndex(isErrorValue);
+      info.errorRows = { count: failed, value: values[row], row, values: out[row] };
+    }
+    out = out.filter((_, i) => !isErrorValue(values[i]) && !!values[i]);
+  } else if (step.type === "select") {
+    out = out.map((r) => {
+      const nr = {};
+      step.fields.forEach((f) => (nr[f] = r[f]));
+      return nr;
+    });
+  } else if (step.type === "sort") {
+    const { by, dir } = step;
+    out = [...out].sort((a, b) => {
+      if (a[by] < b[by]) return dir === "asc" ? -1 : 1;
+      if (a[by] > b[by]) return dir === "asc" ? 1 : -1;
+      return 0;
+    });
+  } else if (step.type === "dedupe") {
+    const seen = new Set();
+    out = out.filter((r) => {
+      const key = step.keys.map((k) => r[k]).join("|");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  } else if (step.type === "mutate") {
+    const expr = createExcelParser(out).parse(step.expr);
+    out = eachRow(out, (r) => ({ ...r, [step.as]: expr.evaluate(r) }));
+  } else if (step.type === "fill") {
+    for (const col of step.cols) {
+      if (step.direction === "down") {
+        let last = null;
+        out = out.map((r) => {
+          const v = r[col];
+          if (v !== null && v !== undefined && v !== "") last = v;
+          else if (last !== null) return { ...r, [col]: last };
+          return r;
+        });
+      } else {
+        let last = null;
+        out = [...out];
+        for (let i = out.length - 1; i >= 0; i--) {
+          const v = out[i][col];
+          if (v !== null && v !== undefined && v !== "") last = v;
+          else if (last !== null) out[i] = { ...out[i], [col]: last };
+        }
+      }
+    }
+  } else if (step.type === "replace") {
+    const { col, find, withVal, mode = "exact", caseSensitive = false } = step;
+    const cmp = (x) => {
+      if (mode === "regex") {
+        const re = new RegExp(find, caseSensitive ? "g" : "gi");
+        return String(x ?? "").replace(re, withVal);
+      }
+      if (mode === "contains") {
+        const a = caseSensitive ? String(x) : String(x).toLowerCase();
+        const b = caseSensitive ? find : String(find).toLowerCase();
+        return a.includes(b) ? String(x).split(find).join(withVal) : x;
+      }
+      return String(x) === String(find) ? withVal : x;
+    };
+    out = out.map((r) => ({ ...r, [col]: cmp(r[col]) }));
+  } else if (step.type === "toNumber") {
+    const cols = step.cols || [];
+    out = out.map((r) => {
+      const nr = { ...r };
+      for (const c of cols) nr[c] = Number(String(nr[c]).replace(/,/g, ""));
+      return nr;
+    });
+  } else if (step.type === "toDate") {
+    const cols = step.cols || [];
+    out = out.map((r) => {
+      const nr = { ...r };
+      for (const c of cols) nr[c] = new Date(nr[c]);
+      return nr;
+    });
+  } else if (step.type === "trim") {
+    const cols = step.cols || [];
+    out = out.map((r) => {
+      const nr = { ...r };
+      for (const c of cols) nr[c] = String(nr[c] ?? "").trim().replace(/\s+/g, " ");
+      return nr;
+    });
+  } else if (step.type === "split") {
+    const { col, delim = ",", intoPrefix = `${step.col}_part`, count = 2, dropOriginal = false } = step;
+    out = out.map((r) => {
+      const parts = String(r[col] ?? "").split(delim);
+      const nr = { ...r };
+      for (let i = 0; i < count; i++) nr[`${intoPrefix}${i + 1}`] = parts[i] ?? "";
+      if (dropOriginal) delete nr[col];
+      return nr;
+    });
+  } else if (step.type === "merge") {
+    const { cols, into = "merged", delim = " " } = step;
+    out = out.map((r) => ({ ...r, [into]: (cols || []).map((c) => r[c] ?? "").join(delim) }));
+  } else if (step.type === "cast") {
+    const casts = step.casts || [];
+    out = out.map((r) => {
+      const nr = { ...r };
+      for (const c of casts) nr[c.col] = castValue(nr[c.col], c.to, c.format);
+      return nr;
+    });
+  } else if (step.type === "join") {
+    const other = ctx.datasets.get(step.dataset);
+    if (!other) throw new Error(`Dataset not found: ${step.dataset}`);
+    out = joinRows(out, other, step);
+  } else if (step.type === "append") {
+    const parts = [{ name: ctx.activeName, rows: out }];
+    for (const dsName of step.datasets || []) {
+      const other = ctx.datasets.get(dsName);
+      if (!other) throw new Error(`Dataset not found: ${dsName}`);
+      parts.push({ name: dsName, rows: other });
+    }
+    out = appendRows(parts, step.addSource ? step.sourceCol || "source" : "");
+  } else if (step.type === "groupBy") {
+    out = groupRows(out, step);
+  } else if (step.type === "unpivot") {
+    out = unpivotRows(out, step);
+  } else if (step.type === "pivotColumns") {
+    out = pivotColumnRows(out, step);
+  } else if (step.type === "window") {
+    out = windowRows(out, step);
+  }
+  return out;
+}
+
+// a formula's value on the first n rows, parsed against all of them so functions that
+// scan a column see what the step sees; null when it does not parse
+function formulaPreview(rows, expr, n) {
+  let compiled;
+  try {
+    compiled = createExcelParser(rows).parse(expr);
+  } catch (e) {
+    return null;
+  }
+  const values = rows.slice(0, n).map((r) => {
+    try {
+      return { value: compiled.evaluate(r) };
+    } catch (e) {
+      return { error: e.message || String(e) };
+    }
+  });
+  return { expr, values };
+}
+
+// Pipeline executor with Excel-like steps. Yields { rows, info } after every step so
+// the caller can report progress or stop early. info has rowsIn, rowsOut, the columns
+// and first rows entering the step, columns added and removed, for filter and mutate
+// steps preview { expr, values } with the formula's value on those first rows, for
+// filter steps errorRows { count, value, row, values } when the formula gave an error
+// value on some rows (they are dropped), and error { message, row, values } when the
+// step failed; a failing or disabled step passes its input through
+export function* pipelineSteps(inputRows, pipeline, ctx) {
+  let out = inputRows;
+  let columns = Object.keys(inputRows[0] || {});
+  for (const step of pipeline) {
+    const info = { rowsIn: out.length, columns, sample: out.slice(0, 5), added: [], removed: [] };
+    if (step.disabled) info.disabled = true;
+    else {
+      if (step.type === "filter" || step.type === "mutate") info.preview = formulaPreview(out, step.expr, info.sample.length);
+      try {
+        out = applyStep(out, step, ctx, info);
+      } catch (e) {
+        info.error = { message: e.message || String(e), row: e.row, values: e.values };
+      }
+    }
+    info.rowsOut = out.length;
+    // an empty result says nothing about its columns, so keep the last known ones
+    if (out.length) {
+      const next = Object.keys(out[0]);
+      if (columns.length) {
+        info.added = next.filter((c) => !columns.includes(c));
+        info.removed = columns.filter((c) => !next.includes(c));
+      }
+      columns = next;
+    }
+    yield { rows: out, info };
+  }
+}
+
+export function profileColumn(rows, { name, type }, topN = 8, bins = 12) {
+  const kind = NUMERIC_TYPES.includes(type) ? "number" : type === "date" ? "date" : "text";
+  const counts = new Map();
+  // dates are counted by timestamp but listed as the Date itself
+  const dates = new Map();
+  const nums = [];
+  let blank = 0;
+  for (const r of rows) {
+    const v = r[name];
+    if (v === null || v === undefined || v === "") { blank++; continue; }
+    const key = v instanceof Date ? v.toISOString() : v;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (v instanceof Date && !dates.has(key)) dates.set(key, v);
+    if (kind === "number") { const n = parseNumberLike(v, type); if (n !== "") nums.push(n); }
+    if (kind === "date") { const d = parseDateValue(v); if (d) nums.push(d.getTime()); }
+  }
+  const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, topN).map(([value, count]) => ({ value: dates.get(value) || value, count }));
+  if (blank) top.push({ value: "", count: blank });
+  const p = { name, type, kind, blank, distinct: counts.size, top };
+  if (nums.length) {
+    p.min = nums.reduce((a, b) => Math.min(a, b));
+    p.max = nums.reduce((a, b) => Math.max(a, b));
+    if (kind === "number") p.mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+    const width = (p.max - p.min) / bins || 1;
+    p.histogram = Array(bins).fill(0);
+    for (const n of nums) p.histogram[Math.min(bins - 1, Math.floor((n - p.min) / width))]++;
+  }
+  return p;
+}
+
+// filter expression selecting one value of a column, as produced by profile clicks
+export function filterExprFor(col, value) {
+  const ref = columnRef(col);
+  if (value === "") return `ISBLANK(${ref})`;
+  if (typeof value === "number" || typeof value === "boolean") return `${ref} == ${value}`;
+  // Dates never compare equal with ==, so match the calendar day; cells that are not
+  // dates give an error inside IFERROR and are dropped
+  if (value instanceof Date) {
+    return `IFERROR(AND(YEAR(${ref}) == ${value.getFullYear()}, MONTH(${ref}) == ${value.getMonth() + 1}, DAY(${ref}) == ${value.getDate()}), FALSE)`;
+  }
+  return `${ref} == "${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// key pairs map a left column to a right column; right columns whose names clash
+// with left ones get the suffix appended until unique
+function joinRows(left, right, { how = "inner", on = [], suffix = "_right" }) {
+  const pairs = on.filter((k) => k.left && k.right);
+  if (!pairs.length) throw new Error("Join needs at least one key column");
+  // like SQL, a blank key matches nothing; such rows only survive as unmatched rows
+  const keyOf = (r, side) => (pairs.some((k) => isBlank(r[k[side]])) ? null : pairs.map((k) => String(r[k[side]])).join("\u0001"));
+  const index = new Map();
+  right.forEach((r, i) => {
+    const k = keyOf(r, "right");
+    if (k === null) return;
+    if (!index.has(k)) index.set(k, []);
+    index.get(k).push(i);
+  });
+  if (how === "anti") return left.filter((r) => { const k = keyOf(r, "left"); return k === null || !index.has(k); });
+
+  const leftCols = Object.keys(left[0] || {});
+  const taken = new Set(leftCols);
+  const rename = {};
+  for (const c of Object.keys(right[0] || {})) {
+    if (pairs.some((k) => k.left === c && k.right === c)) continue;
+    let n = c;
+    while (taken.has(n)) n += suffix || "_right";
+    taken.add(n);
+    rename[c] = n;
+  }
+  const blankLeft = Object.fromEntries(leftCols.map((c) => [c, ""]));
+  const blankRight = Object.fromEntries(Object.values(rename).map((c) => [c, ""]));
+  const combine = (l, r) => {
+    const nr = { ...(l || blankLeft) };
+    if (!l) for (const k of pairs) nr[k.left] = r[k.right];
+    if (r) for (const c in rename) nr[rename[c]] = r[c];
+    else Object.assign(nr, blankRight);
+    return nr;
+  };
+
+  const out = [];
+  const matched = new Set();
+  for (const l of left) {
+    const k = keyOf(l, "left");
+    const hits = k === null ? undefined : index.get(k);
+    if (hits) hits.forEach((i) => { matched.add(i); out.push(combine(l, right[i])); });
+    else if (how === "left" || how === "full") out.push(combine(l, null));
+  }
+  if (how === "right" || how === "full") right.forEach((r, i) => { if (!matched.has(i)) out.push(combine(null, r)); });
+  return out;
+}
+
+// union of several row sets, aligning columns by name and blank-filling the gaps
+function appendRows(parts, sourceCol) {
+  const cols = [];
+  const seen = new Set();
+  for (const part of parts) {
+    for (const r of part.rows) {
+      for (const c of Object.keys(r)) if (!seen.has(c)) { seen.add(c); cols.push(c); }
+    }
+  }
+  const out = [];
+  for (const part of parts) {
+    for (const r of part.rows) {
+      const nr = {};
+      for (const c of cols) nr[c] = r[c] ?? "";
+      if (sourceCol) nr[sourceCol] = part.name;
+      out.push(nr);
+    }
+  }
+  return out;
+}
+
+const WINDOW_INDEX = Symbol("row");
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+// one GROUP_AGGREGATORS reduction of col over a group of rows. Blanks are
+// skipped by every aggregator except first and last
+function reduceGroup(arr, { col, fn }, delim = ", ") {
+  if (fn === "count") return col ? arr.filter((r) => !isBlank(r[col])).length : arr.length;
+  if (fn === "first") return arr.length ? arr[0][col] : "";
+  if (fn === "last") return arr.length ? arr[arr.length - 1][col] : "";
+  const vals = arr.map((r) => r[col]).filter((v) => !isBlank(v));
+  if (fn === "countDistinct") return new Set(vals.map((v) => (v instanceof Date ? v.getTime() : String(v)))).size;
+  if (fn === "concatenate") return vals.map(toStr).join(delim);
+  if (!vals.length) return fn === "sum" ? 0 : "";
+  if ((fn === "min" || fn === "max") && vals.every((v) => v instanceof Date)) {
+    return vals.reduce((m, v) => ((fn === "min" ? v < m : v > m) ? v : m));
+  }
+  const nums = vals.map(toNum);
+  if (fn === "min") return nums.reduce((a, b) => Math.min(a, b));
+  if (fn === "max") return nums.reduce((a, b) => Math.max(a, b));
+  if (fn === "sum") return nums.reduce((a, b) => a + b, 0);
+  if (fn === "avg") return nums.reduce((a, b) => a + b, 0) / nums.length;
+  if (fn === "median") {
+    nums.sort((a, b) => a - b);
+    const mid = nums.length >> 1;
+    return nums.length % 2 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2;
+  }
+  throw new Error(`Unknown aggregator: ${fn}`);
+}
+
+// rows bucketed by their values in keys, in first-seen order
+function groupRowsBy(rows, keys) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = JSON.stringify(keys.map((c) => r[c] ?? ""));
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return groups;
+}
+
+// one row per distinct key combination; without keys the whole input is one group
+function groupRows(rows, { keys = [], aggs = [], delim = ", " }) {
+  const groups = groupRowsBy(rows, keys);
+  if (!keys.length && !groups.size) groups.set("[]", []);
+  const out = [];
+  for (const arr of groups.values()) {
+    const nr = {};
+    for (const c of keys) nr[c] = arr[0]?.[c] ?? "";
+    for (const a of aggs) nr[a.as || `${a.fn}_${a.col || "rows"}`] = reduceGroup(arr, a, delim);
+    out.push(nr);
+  }
+  return out;
+}
+
+// wide to long: every selected column becomes an attribute/value row
+function unpivotRows(rows, { cols = [], attrCol = "attribute", valueCol = "value", dropBlanks = false }) {
+  const melted = new Set(cols);
+  const out = [];
+  for (const r of rows) {
+    const base = {};
+    for (const c in r) if (!melted.has(c)) base[c] = r[c];
+    for (const c of cols) {
+      if (dropBlanks && isBlank(r[c])) continue;
+      out.push({ ...base, [attrCol]: c, [valueCol]: r[c] ?? "" });
+    }
+  }
+  return out;
+}
+
+// long to wide: each distinct attribute becomes a column holding the aggregated
+// values; the remaining columns identify the output rows
+function pivotColumnRows(rows, { attrCol, valueCol, fn = "sum", delim = ", " }) {
+  if (!rows.length) return rows;
+  const keys = Object.keys(rows[0]).filter((c) => c !== attrCol && c !== valueCol);
+  const attrs = [...new Set(rows.map((r) => toStr(r[attrCol])))];
+  const taken = new Set(keys);
+  const names = new Map(attrs.map((a) => {
+    let n = a === "" ? "(blank)" : a;
+    while (taken.has(n)) n += "_";
+    taken.add(n);
+    return [a, n];
+  }));
+  const out = [];
+  for (const arr of groupRowsBy(rows, keys).values()) {
+    const nr = {};
+    for (const c of keys) nr[c] = arr[0][c];
+    const cells = groupRowsBy(arr, [attrCol]);
+    for (const a of attrs) {
+      const cell = cells.get(JSON.stringify([a]));
+      nr[names.get(a)] = cell ? reduceGroup(cell, { col: valueCol, fn }, delim) : "";
+    }
+    out.push(nr);
+  }
+  return out;
+}
+
+// numbers and dates by value, everything else as text; blanks sort last
+function compareValues(a, b) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) - isBlank(b);
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  const nx = Number(x), ny = Number(y);
+  if (!isNaN(nx) && !isNaN(ny)) return nx - ny;
+  return String(x).localeCompare(String(y));
+}
+
+// adds calculated columns computed within each partition in orderBy order; the
+// output keeps the input row order. Ties in orderBy share a rank and, as in a SQL
+// RANGE window, a running sum or average: each includes every row tied with it.
+// Blanks sort last in either direction and give a blank percent of total.
+function windowRows(rows, { partitionBy = [], orderBy = "", dir = "asc", calcs = [] }) {
+  const out = rows.map((r) => ({ ...r }));
+  const sign = dir === "desc" ? -1 : 1;
+  const parts = groupRowsBy(rows.map((r, i) => ({ ...r, [WINDOW_INDEX]: i })), partitionBy);
+  for (const part of parts.values()) {
+    const order = (x, y) => (isBlank(x) || isBlank(y) ? compareValues(x, y) : sign * compareValues(x, y));
+    if (orderBy) part.sort((a, b) => order(a[orderBy], b[orderBy]) || a[WINDOW_INDEX] - b[WINDOW_INDEX]);
+    const tied = (k) => k > 0 && orderBy && compareValues(part[k][orderBy], part[k - 1][orderBy]) === 0;
+    // index of the last row tied with each row
+    const peerEnd = new Array(part.length);
+    for (let k = part.length - 1; k >= 0; k--) peerEnd[k] = k + 1 < part.length && tied(k + 1) ? peerEnd[k + 1] : k;
+    for (const { fn, col, as, n = 1 } of calcs) {
+      const name = as || `${fn}_${col || orderBy}`;
+      const num = (k) => (isBlank(part[k][col]) ? null : toNum(part[k][col]));
+      const total = fn === "percentOfTotal" ? part.reduce((a, r) => a + toNum(r[col]), 0) : 0;
+      let sum = 0, count = 0, upTo = -1, rank = 0, dense = 0;
+      for (let k = 0; k < part.length; k++) {
+        const row = out[part[k][WINDOW_INDEX]];
+        for (; upTo < peerEnd[k]; upTo++) {
+          const v = num(upTo + 1);
+          if (v !== null) { sum += v; count++; }
+        }
+        if (!tied(k)) { rank = k + 1; dense++; }
+        if (fn === "runningSum") row[name] = sum;
+        else if (fn === "runningAvg") row[name] = count ? sum / count : "";
+        else if (fn === "rowNumber") row[name] = k + 1;
+        else if (fn === "rank") row[name] = rank;
+        else if (fn === "denseRank") row[name] = dense;
+        else if (fn === "percentOfTotal") row[name] = total && num(k) !== null ? num(k) / total : "";
+        else if (fn === "movingAvg") {
+          const xs = [];
+          for (let j = Math.max(0, k - n + 1); j <= k; j++) if (num(j) !== null) xs.push(num(j));
+          row[name] = xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : "";
+        } else if (fn === "lag" || fn === "lead") {
+          const j = fn === "lag" ? k - n : k + n;
+          row[name] = j >= 0 && j < part.length ? part[j][col] ?? "" : "";
+        } else throw new Error(`Unknown window function: ${fn}`);
+      }
+    }
+  }
+  return out;
+}
+
+// chart points as data, and as error the message of a measure that failed on some
+// group (or no longer exists) so the chart can say why points are missing
+export function buildChartData(rows, spec, measures = []) {
+  if (!rows || rows.length === 0) return { data: [], error: null };
+  const { x, y, series, agg } = spec;
+  let error = null;
+  const value = groupValue(rows, y, agg, measures, spec.p, (message) => { error ||= `Measure ${y}: ${message}`; });
+  if (!value) return { data: [], error: `Measure ${y} no longer exists` };
+  // text, error values and empty groups leave a gap rather than a point
+  const plotted = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+  const groups = groupBy(rows, (r) => r[x]);
+  if (!series) {
+    const data = Object.entries(groups).map(([kx, arr]) => ({ [x]: kx, [y]: plotted(value(arr)) }));
+    return { data, error };
+  }
+  const seriesVals = Array.from(new Set(rows.map((r) => r[series])));
+  const data = Object.entries(groups).map(([kx, arr]) => {
+    const obj = { [x]: kx };
+    seriesVals.forEach((sv) => {
+      const subset = arr.filter((r) => r[series] === sv);
+      obj[String(sv)] = plotted(value(subset));
+    });
+    return obj;
+  });
+  return { data, error };
+}
+
+// value fields of a pivot spec; older specs hold a single value and agg
+export function pivotValues(spec) {
+  if (Array.isArray(spec.values)) return spec.values;
+  return spec.value ? [{ field: spec.value, agg: spec.agg }] : [];
+}
+
+// header for a value field: its display name, else "sum of events" or the measure name
+export function valueLabel(v) {
+  return v.as || (v.agg === "measure" ? v.field : `${v.agg === "percentile" ? `p${v.p ?? 50}` : v.agg} of ${v.field}`);
+}
+
+// one pivot axis as a tree of members in first-seen order, flattened depth first so
+// each member comes right before its children. Index total stands for the whole
+// axis; a row's ids are its member at each level followed by total.
+function pivotAxis(rows, fields) {
+  const tree = new Map();
+  for (const r of rows) {
+    let level = tree;
+    for (const f of fields) {
+      const k = String(r[f]);
+      if (!level.has(k)) level.set(k, new Map());
+      level = level.get(k);
+    }
+  }
+  const items = [];
+  const index = new Map();
+  const walk = (level, path) => {
+    for (const [k, children] of level) {
+      const item = { path: [...path, k], depth: path.length, leaf: path.length + 1 === fields.length };
+      index.set(item.path.join("\u0000"), items.length);
+      items.push(item);
+      if (!item.leaf) walk(children, item.path);
+    }
+  };
+  walk(tree, []);
+  const total = items.length;
+  return {
+    items, total,
+    idsOf: (r) => {
+      let key = "";
+      const ids = fields.map((f, d) => index.get((key = d ? `${key}\u0000${r[f]}` : String(r[f]))));
+      return [...ids, total];
+    },
+  };
+}
+
+// members of both axes at every level, with subtotals for each member and the row,
+// column and grand totals; every value is one entry per value field. Each of them is
+// the value field's aggregator or measure applied to the rows behind it, so totals of
+// averages, minimums or ratios are right; cells without rows are empty (null) and a
+// measure that no longer exists gives #REF!
+export function buildPivot(rows, spec, measures = []) {
+  if (!rows || rows.length === 0) return null;
+  const fields = pivotValues(spec);
+  if (!fields.length) return null;
+  const rowAxis = pivotAxis(rows, spec.rows);
+  const colAxis = pivotAxis(rows, spec.cols);
+  const width = colAxis.total + 1;
+  const groups = new Map();
+  for (const r of rows) {
+    const cols = colAxis.idsOf(r);
+    for (const i of rowAxis.idsOf(r)) {
+      for (const j of cols) {
+        const k = i * width + j;
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(r);
+      }
+    }
+  }
+  const reducers = fields.map((f) => groupValue(rows, f.field, f.agg, measures, f.p) || (() => "#REF!"));
+  const at = (i, j) => reducers.map((value) => value(groups.get(i * width + j) || []));
+  const member = ({ path, depth, leaf }) => ({ path, depth, leaf });
+  return {
+    rows, rowFields: spec.rows, colFields: spec.cols,
+    fields: fields.map((f) => ({ ...f, label: valueLabel(f) })),
+    rowItems: rowAxis.items.map(member),
+    colItems: colAxis.items.map(member),
+    values: rowAxis.items.map((_, i) => colAxis.items.map((_, j) => at(i, j))),
+    rowTotals: rowAxis.items.map((_, i) => at(i, colAxis.total)),
+    colTotals: colAxis.items.map((_, j) => at(rowAxis.total, j)),
+    grandTotal: at(rowAxis.total, colAxis.total),
+  };
+}
+
+// reduces a group of rows to one value: agg over field, or for agg "measure" the
+// measure named field evaluated on the group; empty groups give null, a failing
+// measure #VALUE! (its message goes to onError), and the reducer itself is null
+// when that measure is gone
+function groupValue(rows, field, agg, measures, p, onError = () => {}) {
+  if (agg !== "measure") return (arr) => aggregate(arr, field, agg, p);
+  const measure = measures.find((m) => m.name === field);
+  if (!measure) return null;
+  let evaluate;
+  try {
+    evaluate = compileMeasure(measure.expr, rows, Object.keys(rows[0]), measures, [measure.name]);
+  } catch (e) {
+    evaluate = () => { throw e; };
+  }
+  return (arr) => {
+    if (!arr.length) return null;
+    try {
+      return evaluate(arr);
+    } catch (e) {
+      onError(e.message || String(e));
+      return "#VALUE!";
+    }
+  };
+}
+
+function groupBy(arr, keyFn) {
+  return arr.reduce((acc, item) => { const k = keyFn(item); (acc[k] ||= []).push(item); return acc; }, {});
+}
+
+// one PIVOT_AGGREGATORS reduction of field over a group of rows, null for an empty
+// group. Blanks are skipped as in the group step, so count is of non-blank values;
+// stdev and var are the sample statistics, percentile p (0 to 100) interpolates
+// like PERCENTILE.INC.
+function aggregate(arr, field, agg, p = 50) {
+  if (!arr.length) return null;
+  if (["count", "countDistinct", "first", "last"].includes(agg)) return reduceGroup(arr, { col: field, fn: agg });
+  // min and max compare like the group step, so a date column gives dates
+  if (agg === "min" || agg === "max") {
+    const v = reduceGroup(arr, { col: field, fn: agg });
+    return v === "" ? null : v;
+  }
+  const nums = arr.map((r) => r[field]).filter((v) => !isBlank(v)).map(toNum);
+  if (!nums.length) return null;
+  const sum = nums.reduce((a, b) => a + b, 0);
+  if (agg === "sum") return sum;
+  if (agg === "avg") return sum / nums.length;
+  if (agg === "var" || agg === "stdev") {
+    if (nums.length < 2) return "#DIV/0!";
+    const variance = nums.reduce((a, x) => a + (x - sum / nums.length) ** 2, 0) / (nums.length - 1);
+    return agg === "var" ? variance : Math.sqrt(variance);
+  }
+  if (agg === "median" || agg === "percentile") {
+    const s = nums.sort((a, b) => a - b);
+    const pos = (agg === "median" ? 0.5 : Math.min(100, Math.max(0, Number(p) || 0)) / 100) * (s.length - 1);
+    const lo = Math.floor(pos);
+    return lo + 1 < s.length ? s[lo] + (pos - lo) * (s[lo + 1] - s[lo]) : s[lo];
+  }
+  throw new Error(`Unknown aggregator: ${agg}`);
+}
@@ -0,0 +1,41 @@
+import { pipelineSteps, buildPivot, buildChartData } from "./engine.js";
+
+// Runs the transform pipeline, pivot and chart aggregation off the main thread.
+// Datasets are sent once per change ("data"); each "run" carries an id and any
+// newer id seen between steps cancels the older run. With preview set, the rows as of
+// that step index are returned alongside the final rows.
+// Cancellation is only checked between steps: a single long step (a big join or
+// pivot) runs to the end before a newer run can take over.
+let datasets = new Map();
+let latest = 0;
+
+const yieldToInbox = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "data") datasets = new Map(msg.datasets.map((d) => [d.name, d.rows]));
+  else if (msg.type === "cancel") latest = Math.max(latest, msg.id);
+  else if (msg.type === "run") {
+    latest = Math.max(latest, msg.id);
+    run(msg).catch((err) => self.postMessage({ type: "error", id: msg.id, message: err.message || String(err) }));
+  }
+};
+
+async function run({ id, activeName, pipeline, preview, pivot, chartSpec, measures }) {
+  const ctx = { datasets, activeName };
+  const total = pipeline.length;
+  let rows = datasets.get(activeName) || [];
+  let previewRows = null;
+  const steps = [];
+  for (const out of pipelineSteps(rows, pipeline, ctx)) {
+    rows = out.rows;
+    steps.push(out.info);
+    if (steps.length - 1 === preview) previewRows = rows;
+    self.postMessage({ type: "progress", id, done: steps.length, total });
+    await yieldToInbox();
+    if (id !== latest) return;
+  }
+  const pivotResult = buildPivot(rows, pivot, measures);
+  const chart = buildChartData(rows, chartSpec, measures);
+  self.postMessage({ type: "result", id, rows, steps, preview: previewRows, pivot: pivotResult, chart: chart.data, chartError: chart.error });
+}
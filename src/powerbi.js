@@ -0,0 +1,367 @@
+// Power BI .bim / model JSON translation: tables as schema-only datasets, measures
+// in the measure dialect of createMeasureParser, calculated columns of the main
+// table as mutate steps, plus relationships and hierarchies. Everything outside
+// the supported DAX subset goes into the report.
+import { columnRef } from "./engine.js";
+
+const TOKEN_RE = /\s+|\/\/[^\n]*|--[^\n]*|\/\*[\s\S]*?\*\/|('(?:[^']|'')*')|(\[(?:[^\]]|\]\])*\])|("(?:[^"]|"")*")|(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_.]*)|(&&|\|\||<>|<=|>=|==|[-+*/^&=<>(),{}])/y;
+
+const OPERATORS = { "||": "or", "&&": "and", "=": "==", "==": "==", "<>": "!=", "<": "<", "<=": "<=", ">": ">", ">=": ">=", "&": "||", "+": "+", "-": "-", "*": "*", "/": "/", "^": "^" };
+
+const PRECEDENCE = [["||"], ["&&"], ["=", "==", "<>", "<", "<=", ">", ">="], ["&"], ["+", "-"], ["*", "/"], ["^"]];
+
+// comparison as a *IF criteria prefix, and the same comparison with its sides swapped
+const CRITERIA = { "=": "=", "==": "=", "<>": "!=", "<": "<", "<=": "<=", ">": ">", ">=": ">=" };
+const FLIPPED = { "=": "=", "!=": "!=", "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+
+const AGGREGATES = { SUM: "SUM", AVERAGE: "AVERAGE", MIN: "MIN", MAX: "MAX", COUNT: "COUNT", COUNTA: "COUNT", DISTINCTCOUNT: "DISTINCTCOUNT" };
+
+const PASS_THROUGH = ["ABS", "ROUND", "LEN", "LEFT", "RIGHT", "MID", "UPPER", "LOWER", "TRIM", "YEAR", "MONTH", "DAY", "DATE", "TODAY", "NOW", "ISBLANK", "CONCATENATE", "SUBSTITUTE"];
+
+const TYPE_MAP = { int64: "integer", double: "decimal", decimal: "decimal", string: "string", dateTime: "date", boolean: "boolean" };
+
+function tokenize(dax) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < dax.length) {
+    const at = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(dax);
+    if (!m) throw new Error(`Unexpected character "${dax[at]}" at ${at + 1}`);
+    if (m[1]) tokens.push({ type: "table", value: m[1].slice(1, -1).replace(/''/g, "'") });
+    else if (m[2]) tokens.push({ type: "bracket", value: m[2].slice(1, -1).replace(/\]\]/g, "]") });
+    else if (m[3]) tokens.push({ type: "string", value: m[3].slice(1, -1).replace(/""/g, '"') });
+    else if (m[4]) tokens.push({ type: "number", value: m[4] });
+    else if (m[5]) tokens.push({ type: "ident", value: m[5] });
+    else if (m[6]) tokens.push({ type: "op", value: m[6] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a DAX expression into a small tree of
+ * num / str / col {table, column} / ref {name} / table {name} / call / bin / neg nodes.
+ * Unqualified [Name] stays a ref until it is known to be a measure or a column.
+ */
+export function parseDax(dax) {
+  const tokens = tokenize(dax.replace(/^\s*=/, ""));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (t, ...ops) => t && t.type === "op" && ops.includes(t.value);
+  const expect = (op) => {
+    const t = next();
+    if (!isOp(t, op)) throw new Error(`Expected ${op}${t ? ` near "${t.value}"` : " before end of expression"}`);
+  };
+
+  const binary = (level) => {
+    if (level === PRECEDENCE.length) return unary();
+    let l = binary(level + 1);
+    while (isOp(peek(), ...PRECEDENCE[level])) {
+      const op = next().value;
+      l = { type: "bin", op, l, r: binary(level + 1) };
+    }
+    if (level === 2 && peek()?.type === "ident" && peek().value.toUpperCase() === "IN") throw new Error("IN lists are not supported");
+    return l;
+  };
+  const unary = () => {
+    if (isOp(peek(), "-")) { next(); return { type: "neg", x: unary() }; }
+    if (isOp(peek(), "+")) { next(); return unary(); }
+    return primary();
+  };
+  const column = (table) => {
+    if (peek()?.type === "bracket") return { type: "col", table, column: next().value };
+    return { type: "table", name: table };
+  };
+  const primary = () => {
+    const t = next();
+    if (!t) throw new Error("Unexpected end of expression");
+    if (t.type === "number") return { type: "num", value: t.value };
+    if (t.type === "string") return { type: "str", value: t.value };
+    if (t.type === "bracket") return { type: "ref", name: t.value };
+    if (t.type === "table") return column(t.value);
+    if (isOp(t, "(")) { const inner = binary(0); expect(")"); return inner; }
+    if (isOp(t, "{")) throw new Error("Table constructors are not supported");
+    if (t.type !== "ident") throw new Error(`Unexpected "${t.value}"`);
+    const word = t.value.toUpperCase();
+    if (word === "VAR" || word === "RETURN") throw new Error("VAR / RETURN blocks are not supported");
+    if (!isOp(peek(), "(")) return column(t.value);
+    next();
+    const args = [];
+    if (!isOp(peek(), ")")) {
+      do args.push(binary(0)); while (isOp(peek(), ",") && next());
+    }
+    expect(")");
+    return { type: "call", name: word, args };
+  };
+
+  const out = binary(0);
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return out;
+}
+
+const display = (n) => {
+  if (n.type === "col") return `${n.table}[${n.column}]`;
+  if (n.type === "ref") return `[${n.name}]`;
+  if (n.type === "num" || n.type === "str") return n.value;
+  if (n.type === "bin") return `${display(n.l)} ${n.op} ${display(n.r)}`;
+  if (n.type === "call") return `${n.name}(...)`;
+  return n.name || n.type;
+};
+
+/**
+ * Emit a parsed DAX tree as a formula. ctx supplies:
+ *  mode: "measure" or "column"; table: home table of the expression;
+ *  column(table, name): formula reference to a column, throwing when it is unreachable;
+ *  measure(name): parsed tree of a measure, or undefined;
+ *  countable(table): whether COUNTROWS may count that table;
+ *  related(table, name): formula reference for RELATED(table[name]) in calculated columns.
+ */
+export function emitDax(node, ctx, filters = [], inlining = []) {
+  const emit = (n, f = filters) => emitDax(n, ctx, f, inlining);
+  const wrap = (n) => (n.type === "bin" ? `(${emit(n)})` : emit(n));
+  const asColumn = (n) => {
+    if (n.type === "col") return n;
+    if (n.type === "ref" && !ctx.measure(n.name)) return { type: "col", table: ctx.table, column: n.name };
+    return null;
+  };
+
+  switch (node.type) {
+    case "num": return node.value;
+    case "str": return JSON.stringify(node.value);
+    case "neg": return `-${wrap(node.x)}`;
+    case "bin": return `${wrap(node.l)} ${OPERATORS[node.op]} ${wrap(node.r)}`;
+    case "table": throw new Error(`Table ${node.name} cannot be used as a value`);
+    case "ref": {
+      const m = ctx.measure(node.name);
+      if (!m) return emit({ type: "col", table: ctx.table, column: node.name });
+      if (ctx.mode === "column") throw new Error(`Measure [${node.name}] cannot be used in a calculated column`);
+      if (inlining.includes(node.name)) throw new Error(`Measure [${node.name}] refers to itself`);
+      const inlined = emitDax(m, ctx, filters, [...inlining, node.name]);
+      return m.type === "bin" ? `(${inlined})` : inlined;
+    }
+    case "col":
+      if (ctx.mode === "column" && node.table !== ctx.table) throw new Error(`${display(node)} is in another table; wrap it in RELATED`);
+      return ctx.column(node.table, node.column);
+    default: break;
+  }
+
+  const { name, args } = node;
+  const arity = (min, max = min) => {
+    if (args.length < min || args.length > max) throw new Error(`${name} expects ${min === max ? min : `${min} to ${max}`} argument${max === 1 ? "" : "s"}`);
+  };
+  const filterArgs = () => filters.map(([col, crit]) => `, ${col}, ${JSON.stringify(crit)}`).join("");
+
+  if (AGGREGATES[name]) {
+    if (ctx.mode === "column") throw new Error(`Aggregate ${name} in a calculated column depends on row context; define it as a measure`);
+    if (args.length === 2 && (name === "MIN" || name === "MAX")) throw new Error(`${name} of two values is not supported in measures`);
+    arity(1);
+    const col = asColumn(args[0]);
+    if (!col) throw new Error(`${name} needs a column, got ${display(args[0])}`);
+    return `${AGGREGATES[name]}(${emit(col)}${filterArgs()})`;
+  }
+  if (name === "COUNTROWS") {
+    if (ctx.mode === "column") throw new Error("COUNTROWS in a calculated column depends on row context; define it as a measure");
+    arity(1);
+    if (args[0].type !== "table" || !ctx.countable(args[0].name)) throw new Error(`COUNTROWS is only supported over the main table, got ${display(args[0])}`);
+    return `COUNTROWS(${filterArgs().slice(2)})`;
+  }
+  if (name === "CALCULATE") {
+    if (ctx.mode === "column") throw new Error("CALCULATE in a calculated column is not supported");
+    if (!args.length) throw new Error("CALCULATE expects an expression");
+    const literal = (n) => n.type === "num" || n.type === "str" || (n.type === "call" && (n.name === "TRUE" || n.name === "FALSE") && !n.args.length);
+    const value = (n) => (n.type === "call" ? n.name.toLowerCase() : n.value);
+    // only Table[Column] <op> literal, in either order, maps onto criteria
+    const added = args.slice(1).map((f) => {
+      const op = f.type === "bin" && CRITERIA[f.op];
+      const l = op && literal(f.r) && asColumn(f.l);
+      const r = op && literal(f.l) && asColumn(f.r);
+      if (l) return [emit(l), `${op}${value(f.r)}`];
+      if (r) return [emit(r), `${FLIPPED[op]}${value(f.l)}`];
+      throw new Error(`CALCULATE filter ${display(f)} is not a simple column comparison`);
+    });
+    return emit(args[0], [...filters, ...added]);
+  }
+  if (name === "RELATED") {
+    if (ctx.mode !== "column") throw new Error("RELATED is only supported in calculated columns");
+    arity(1);
+    if (args[0].type !== "col") throw new Error("RELATED needs a Table[Column] reference");
+    return ctx.related(args[0].table, args[0].column);
+  }
+  if (name === "IF") { arity(2, 3); return `IF(${emit(args[0])}, ${emit(args[1])}, ${args[2] ? emit(args[2]) : '""'})`; }
+  if (name === "DIVIDE") { arity(2, 3); return `DIVIDE(${args.map((a) => emit(a)).join(", ")})`; }
+  if (name === "AND" || name === "OR") { arity(2); return `(${wrap(args[0])} ${name.toLowerCase()} ${wrap(args[1])})`; }
+  if (name === "NOT") { arity(1); return `not (${emit(args[0])})`; }
+  if (name === "BLANK") { arity(0); return '""'; }
+  if (name === "TRUE" || name === "FALSE") { arity(0); return name.toLowerCase(); }
+  if (PASS_THROUGH.includes(name)) return `${name}(${args.map((a) => emit(a)).join(", ")})`;
+  throw new Error(`Function ${name} has no equivalent`);
+}
+
+const text = (e) => (Array.isArray(e) ? e.join("\n") : e || "");
+
+/**
+ * Parse a .bim / model JSON. Returns { tables, primary, steps, measures, relationships,
+ * hierarchies, report }. tables become schema-only datasets; primary is the table the
+ * pipeline runs on, reached from the others through left joins that RELATED and
+ * cross-table measures add to steps.
+ */
+export function importPowerBIModel(jsonText) {
+  let obj;
+  try {
+    obj = JSON.parse(jsonText);
+  } catch (e) {
+    throw new Error("Failed to parse Power BI model JSON.");
+  }
+  const model = obj.model || obj;
+  const tables = (model.tables || []).filter((t) => (t.columns || []).length);
+  if (!tables.length) throw new Error("Unsupported Power BI JSON shape. Provide model with tables and columns.");
+
+  const relationships = (model.relationships || []).map((r) => ({
+    fromTable: r.fromTable, fromColumn: r.fromColumn, toTable: r.toTable, toColumn: r.toColumn, active: r.isActive !== false,
+  }));
+  const report = [];
+  const dataColumns = new Map();
+  const calcColumns = [];
+  const measureTrees = new Map();
+  const measureList = [];
+
+  for (const t of tables) {
+    const schema = [];
+    for (const c of t.columns) {
+      if (c.type === "rowNumber") continue;
+      if (c.type === "calculated" || c.expression) calcColumns.push({ table: t.name, name: c.name, source: text(c.expression) });
+      else schema.push({ name: c.name, type: TYPE_MAP[c.dataType] || "string" });
+    }
+    dataColumns.set(t.name, schema);
+    for (const m of t.measures || []) {
+      const source = text(m.expression);
+      measureList.push({ table: t.name, name: m.name, source });
+      try {
+        measureTrees.set(m.name, parseDax(source));
+      } catch (e) {
+        report.push({ item: `Measure ${m.name}`, reason: e.message, source });
+      }
+    }
+  }
+
+  // the main table sits on the many side of the most relationships
+  const score = (t) => relationships.filter((r) => r.active && r.fromTable === t.name).length * 1000 + (t.measures || []).length;
+  const primary = [...tables].sort((a, b) => score(b) - score(a))[0].name;
+
+  // joins are added as they are first needed; renames mirror joinRows so that
+  // references point at the columns the join step will really produce
+  const joins = new Map();
+  const primaryColumns = new Set([...dataColumns.get(primary).map((c) => c.name), ...calcColumns.filter((c) => c.table === primary).map((c) => c.name)]);
+  const taken = new Set(dataColumns.get(primary).map((c) => c.name));
+  const joinFor = (table) => {
+    if (joins.has(table)) return joins.get(table);
+    const rel = relationships.find((r) => r.active && r.fromTable === primary && r.toTable === table);
+    if (!rel) {
+      const reverse = relationships.some((r) => r.active && r.toTable === primary && r.fromTable === table);
+      throw new Error(reverse ? `${table} is on the many side of its relationship with ${primary}` : `No active relationship from ${primary} to ${table}`);
+    }
+    const rename = new Map();
+    for (const { name } of dataColumns.get(table) || []) {
+      if (name === rel.toColumn && name === rel.fromColumn) { rename.set(name, name); continue; }
+      let n = name;
+      while (taken.has(n)) n += "_right";
+      taken.add(n);
+      rename.set(name, n);
+    }
+    const join = { step: { type: "join", dataset: table, how: "left", on: [{ left: rel.fromColumn, right: rel.toColumn }], suffix: "_right" }, rename };
+    joins.set(table, join);
+    return join;
+  };
+  const fieldName = (table, name) => {
+    if (table === primary) {
+      if (!primaryColumns.has(name)) throw new Error(`Column ${table}[${name}] does not exist`);
+      return name;
+    }
+    if (!dataColumns.has(table)) throw new Error(`Table ${table} does not exist`);
+    const n = joinFor(table).rename.get(name);
+    if (!n) throw new Error(`Column ${table}[${name}] is not a data column of ${table}`);
+    return n;
+  };
+  const reference = (table, name) => columnRef(fieldName(table, name));
+
+  const measures = [];
+  for (const m of measureList) {
+    if (!measureTrees.has(m.name)) continue;
+    try {
+      const expr = emitDax(measureTrees.get(m.name), {
+        mode: "measure",
+        table: m.table,
+        column: reference,
+        measure: (n) => measureTrees.get(n),
+        countable: (t) => t === primary,
+      });
+      measures.push({ name: m.name, table: m.table, expr, source: m.source });
+    } catch (e) {
+      report.push({ item: `Measure ${m.name}`, reason: e.message, source: m.source });
+    }
+  }
+
+  // calculated columns of the main table, emitted once the ones they use are in place
+  const steps = [];
+  const pending = calcColumns.filter((c) => {
+    if (c.table === primary) return true;
+    report.push({ item: `Calculated column ${c.table}[${c.name}]`, reason: `Only calculated columns of ${primary} run in the pipeline` });
+    return false;
+  });
+  const calcNames = new Set(pending.map((c) => c.name));
+  const done = new Set();
+  let progress = true;
+  while (pending.length && progress) {
+    progress = false;
+    for (let i = 0; i < pending.length; i++) {
+      const c = pending[i];
+      const waitsOn = [];
+      let expr;
+      try {
+        expr = emitDax(parseDax(c.source), {
+          mode: "column",
+          table: primary,
+          column: (table, name) => {
+            if (table === primary && calcNames.has(name) && !done.has(name)) waitsOn.push(name);
+            return reference(table, name);
+          },
+          measure: (n) => measureTrees.get(n),
+          related: reference,
+        });
+      } catch (e) {
+        report.push({ item: `Calculated column ${c.table}[${c.name}]`, reason: e.message, source: c.source });
+        pending.splice(i--, 1);
+        progress = true;
+        continue;
+      }
+      if (waitsOn.length) continue;
+      steps.push({ type: "mutate", as: c.name, expr });
+      done.add(c.name);
+      pending.splice(i--, 1);
+      progress = true;
+    }
+  }
+  for (const c of pending) report.push({ item: `Calculated column ${c.table}[${c.name}]`, reason: "Depends on a column that could not be translated", source: c.source });
+
+  const hierarchies = [];
+  for (const t of tables) {
+    for (const h of t.hierarchies || []) {
+      try {
+        const levels = [...(h.levels || [])].sort((a, b) => (a.ordinal ?? 0) - (b.ordinal ?? 0)).map((l) => fieldName(t.name, l.column));
+        if (levels.length) hierarchies.push({ table: t.name, name: h.name, levels });
+      } catch (e) {
+        report.push({ item: `Hierarchy ${t.name}[${h.name}]`, reason: e.message });
+      }
+    }
+  }
+
+  return {
+    tables: tables.map((t) => ({ name: t.name, schema: dataColumns.get(t.name) })),
+    primary,
+    steps: [...[...joins.values()].map((j) => j.step), ...steps],
+    measures,
+    relationships,
+    hierarchies,
+    report,
+  };
+}
@@ -0,0 +1,174 @@
+// Pipeline recipes: a named list of steps saved without any rows, validated against
+// the columns of the dataset it is applied to and remapped when names differ.
+import { createExcelParser, columnRef, quotedColumnArgs, FUNCTION_DOCS } from "./engine.js";
+
+export const RECIPE_KIND = "qbi-recipe";
+
+// identifiers, [Column] references and quoted column arguments of SUMIF and co.
+const exprColumns = (expr) => {
+  const quoted = quotedColumnArgs(expr).map((q) => q.name);
+  try {
+    return [...createExcelParser([]).parse(expr).variables(), ...quoted];
+  } catch (e) {
+    return quoted;
+  }
+};
+
+// input columns a step reads, by the step field that holds them
+const STEP_COLUMNS = {
+  filter: (st) => exprColumns(st.expr),
+  select: (st) => st.fields || [],
+  sort: (st) => [st.by],
+  dedupe: (st) => st.keys || [],
+  mutate: (st) => exprColumns(st.expr),
+  fill: (st) => st.cols || [],
+  replace: (st) => [st.col],
+  toNumber: (st) => st.cols || [],
+  toDate: (st) => st.cols || [],
+  trim: (st) => st.cols || [],
+  split: (st) => [st.col],
+  merge: (st) => st.cols || [],
+  cast: (st) => (st.casts || []).map((c) => c.col),
+  join: (st) => (st.on || []).map((k) => k.left),
+  append: () => [],
+  groupBy: (st) => [...(st.keys || []), ...(st.aggs || []).map((a) => a.col)],
+  unpivot: (st) => st.cols || [],
+  pivotColumns: (st) => [st.attrCol, st.valueCol],
+  window: (st) => [...(st.partitionBy || []), st.orderBy, ...(st.calcs || []).map((c) => c.col)],
+};
+
+// columns after a step, or null once they depend on the data (pivotColumns)
+function columnsAfter(st, cols, datasets) {
+  const add = (names) => [...cols, ...names.filter((n) => n && !cols.includes(n))];
+  switch (st.type) {
+    case "select": return [...(st.fields || [])];
+    case "mutate": return add([st.as]);
+    case "split": {
+      const parts = Array.from({ length: st.count || 2 }, (_, i) => `${st.intoPrefix}${i + 1}`);
+      return add(parts).filter((c) => !(st.dropOriginal && c === st.col));
+    }
+    case "merge": return add([st.into]);
+    case "join": {
+      const right = datasets.get(st.dataset) || [];
+      const taken = new Set(cols);
+      const out = [...cols];
+      for (const c of right) {
+        if ((st.on || []).some((k) => k.left === c && k.right === c)) continue;
+        let n = c;
+        while (taken.has(n)) n += st.suffix || "_right";
+        taken.add(n);
+        out.push(n);
+      }
+      return out;
+    }
+    case "append": {
+      const all = [cols, ...(st.datasets || []).map((d) => datasets.get(d) || [])].flat();
+      return [...new Set([...all, ...(st.addSource ? [st.sourceCol || "source"] : [])])];
+    }
+    case "groupBy": return [...(st.keys || []), ...(st.aggs || []).map((a) => a.as || `${a.fn}_${a.col || "rows"}`)];
+    case "unpivot": return [...cols.filter((c) => !(st.cols || []).includes(c)), st.attrCol, st.valueCol];
+    case "pivotColumns": return null;
+    case "window": return add((st.calcs || []).map((c) => c.as || `${c.fn}_${c.col || st.orderBy}`));
+    default: return cols;
+  }
+}
+
+/**
+ * Check a recipe's steps against the columns they would receive. columns are the
+ * input dataset's names; datasets maps other dataset names to their column names
+ * for join and append. Returns one { step, type, missing, dataset? } entry per
+ * problem; disabled steps and steps after a pivotColumns step are not checked.
+ */
+export function validateRecipe(steps, columns, datasets = new Map()) {
+  const issues = [];
+  let cols = [...columns];
+  steps.forEach((st, i) => {
+    if (!cols || st.disabled) return;
+    const refs = (STEP_COLUMNS[st.type]?.(st) || []).filter(Boolean);
+    const missing = [...new Set(refs.filter((c) => !cols.includes(c)))];
+    if (missing.length) issues.push({ step: i, type: st.type, missing });
+    if (st.type === "join" || st.type === "append") {
+      for (const d of st.type === "join" ? [st.dataset] : st.datasets || []) {
+        if (!datasets.has(d)) { issues.push({ step: i, type: st.type, missing: [], dataset: d }); continue; }
+        if (st.type !== "join") continue;
+        const right = datasets.get(d);
+        const gone = (st.on || []).map((k) => k.right).filter((c) => c && !right.includes(c));
+        if (gone.length) issues.push({ step: i, type: st.type, missing: gone, dataset: d });
+      }
+    }
+    cols = columnsAfter(st, cols, datasets);
+  });
+  return issues;
+}
+
+// renames identifiers, [Column] references and quoted column arguments of SUMIF
+// and co. in an expression, leaving other string literals and function names alone
+function renameInExpr(expr, mapping) {
+  const renamed = (w, at, s) => {
+    if (s[at - 1] === "." || !mapping[w] || w in FUNCTION_DOCS || /^\s*\(/.test(s.slice(at + w.length))) return w;
+    return columnRef(mapping[w]);
+  };
+  const quoted = new Map(quotedColumnArgs(expr).map((q) => [q.start, q.name]));
+  const parts = String(expr || "").split(/((?:'(?:[^']|'')*')?\[(?:[^\]]|\]\])*\]|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/);
+  let at = 0;
+  return parts.map((part, i) => {
+    const start = at;
+    at += part.length;
+    if (i % 2 === 1 && quoted.has(start) && mapping[quoted.get(start)]) {
+      const q = part[0];
+      return `${q}${mapping[quoted.get(start)].replace(/\\/g, "\\\\").replaceAll(q, `\\${q}`)}${q}`;
+    }
+    if (i % 2 === 0) return part.replace(/[A-Za-z_][A-Za-z0-9_]*/g, renamed);
+    const m = part.match(/^(?:'((?:[^']|'')*)')?\[((?:[^\]]|\]\])*)\]$/);
+    if (!m) return part;
+    const col = m[2].replace(/\]\]/g, "]");
+    const qualified = m[1] !== undefined && `${m[1].replace(/''/g, "'")}.${col}`;
+    const bracketed = (n) => `[${n.replace(/]/g, "]]")}]`;
+    if (qualified && mapping[qualified]) return bracketed(mapping[qualified]);
+    return mapping[col] ? `${m[1] !== undefined ? `'${m[1]}'` : ""}${bracketed(mapping[col])}` : part;
+  }).join("");
+}
+
+/**
+ * Rename the input columns a recipe refers to. mapping is { oldName: newName };
+ * expressions are rewritten token by token.
+ */
+export function remapSteps(steps, mapping) {
+  const m = (c) => mapping[c] || c;
+  const ms = (cs) => (cs || []).map(m);
+  return steps.map((st) => {
+    switch (st.type) {
+      case "filter":
+      case "mutate": return { ...st, expr: renameInExpr(st.expr, mapping) };
+      case "select": return { ...st, fields: ms(st.fields) };
+      case "sort": return { ...st, by: m(st.by) };
+      case "dedupe": return { ...st, keys: ms(st.keys) };
+      case "replace":
+      case "split": return { ...st, col: m(st.col) };
+      case "fill":
+      case "toNumber":
+      case "toDate":
+      case "trim":
+      case "merge":
+      case "unpivot": return { ...st, cols: ms(st.cols) };
+      case "cast": return { ...st, casts: st.casts.map((c) => ({ ...c, col: m(c.col) })) };
+      case "join": return { ...st, on: st.on.map((k) => ({ ...k, left: m(k.left) })) };
+      case "groupBy": return { ...st, keys: ms(st.keys), aggs: st.aggs.map((a) => ({ ...a, col: a.col && m(a.col) })) };
+      case "pivotColumns": return { ...st, attrCol: m(st.attrCol), valueCol: m(st.valueCol) };
+      case "window": return { ...st, partitionBy: ms(st.partitionBy), orderBy: m(st.orderBy), calcs: st.calcs.map((c) => ({ ...c, col: c.col && m(c.col) })) };
+      default: return st;
+    }
+  });
+}
+
+// a recipe file as saved by the app; throws on anything else
+export function parseRecipe(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Recipe file is not valid JSON.");
+  }
+  if (obj.kind !== RECIPE_KIND || !Array.isArray(obj.steps)) throw new Error("Not a pipeline recipe file.");
+  return { name: obj.name || "Recipe", steps: obj.steps, columns: obj.columns || [] };
+}
@@ -0,0 +1,354 @@
+// Tableau .twb / .tds translation: schema, calculated fields as mutate steps,
+// datasource filters as filter steps and worksheets as chart specs. Anything that
+// has no equivalent in the Excel-like function set goes into the report.
+import { unzipSync } from "fflate";
+import { columnRef } from "./engine.js";
+
+const TOKEN_RE = /\s+|\/\/[^\n]*|(\[(?:[^\]]|\]\])*\](?:\.\[(?:[^\]]|\]\])*\])?)|("(?:[^"]|"")*"|'(?:[^']|'')*')|(#[^#]*#)|(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<>|!=|==|<=|>=|[-+*/%=<>(),{}^])/y;
+
+const COMPARISONS = { "=": "==", "==": "==", "<>": "!=", "!=": "!=", "<": "<", "<=": "<=", ">": ">", ">=": ">=" };
+
+const AGGREGATES = ["SUM", "AVG", "COUNT", "COUNTD", "MEDIAN", "ATTR", "STDEV", "VAR", "PERCENTILE"];
+
+const DATE_UNITS = { day: "d", month: "m", year: "y" };
+
+// Tableau function name -> translated call, given already translated arguments
+const FUNCTIONS = {
+  IIF: (a) => `IF(${a[0]}, ${a[1]}, ${a[2] ?? '""'})`,
+  IFNULL: (a) => `IF(ISBLANK(${a[0]}), ${a[1]}, ${a[0]})`,
+  ISNULL: (a) => `ISBLANK(${a[0]})`,
+  ZN: (a) => `N(${a[0]})`,
+  FLOAT: (a) => `N(${a[0]})`,
+  INT: (a) => `IF(N(${a[0]}) < 0, CEILING(${a[0]}), FLOOR(${a[0]}))`,
+  STR: (a) => `CONCAT(${a[0]})`,
+  REPLACE: (a) => `SUBSTITUTE(${a.join(", ")})`,
+  LTRIM: (a) => `TRIM(${a[0]})`,
+  RTRIM: (a) => `TRIM(${a[0]})`,
+  DATEDIFF: (a) => {
+    const unit = DATE_UNITS[a[0].replace(/"/g, "").toLowerCase()];
+    if (!unit) throw new Error(`DATEDIFF unit ${a[0]} is not supported`);
+    return `DATEDIF(${a[1]}, ${a[2]}, "${unit}")`;
+  },
+  MIN: (a) => { if (a.length < 2) throw new Error("Aggregate MIN needs a measure, not a row-level field"); return `MIN(${a.join(", ")})`; },
+  MAX: (a) => { if (a.length < 2) throw new Error("Aggregate MAX needs a measure, not a row-level field"); return `MAX(${a.join(", ")})`; },
+};
+for (const name of ["ABS", "ROUND", "FLOOR", "CEILING", "SQRT", "LEN", "LEFT", "RIGHT", "MID", "UPPER", "LOWER", "TRIM", "YEAR", "MONTH", "DAY", "TODAY", "NOW"]) {
+  FUNCTIONS[name] = (a) => `${name}(${a.join(", ")})`;
+}
+
+function tokenize(formula) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < formula.length) {
+    const at = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(formula);
+    if (!m) throw new Error(`Unexpected character "${formula[at]}" at ${at + 1}`);
+    if (m[1]) tokens.push({ type: "field", value: m[1] });
+    else if (m[2]) tokens.push({ type: "string", value: m[2] });
+    else if (m[3]) tokens.push({ type: "date", value: m[3] });
+    else if (m[4]) tokens.push({ type: "number", value: m[4] });
+    else if (m[5]) tokens.push({ type: "ident", value: m[5] });
+    else if (m[6]) tokens.push({ type: "op", value: m[6] });
+  }
+  return tokens;
+}
+
+// name inside the last bracket pair of a field token: [ds].[none:country:nk] -> none:country:nk
+function bracketName(token) {
+  const parts = token.match(/\[(?:[^\]]|\]\])*\]/g) || [token];
+  return parts[parts.length - 1].slice(1, -1).replace(/\]\]/g, "]");
+}
+
+function stringLiteral(token) {
+  const q = token[0];
+  return JSON.stringify(token.slice(1, -1).split(q + q).join(q));
+}
+
+/**
+ * Translate one Tableau formula into an expression for createExcelParser.
+ * fieldRef maps a Tableau field name to a column reference and throws when it
+ * cannot. With textResult, "+" is treated as string concatenation.
+ */
+export function translateTableauFormula(formula, fieldRef, { textResult = false } = {}) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isWord = (t, w) => t && t.type === "ident" && t.value.toUpperCase() === w;
+  const isOp = (t, ...ops) => t && t.type === "op" && ops.includes(t.value);
+  const expect = (w) => {
+    const t = next();
+    if (!t || !(isWord(t, w) || isOp(t, w))) throw new Error(`Expected ${w}${t ? ` near "${t.value}"` : " before end of formula"}`);
+  };
+
+  const orExpr = () => {
+    let l = andExpr();
+    while (isWord(peek(), "OR")) { next(); l = `${l} or ${andExpr()}`; }
+    return l;
+  };
+  const andExpr = () => {
+    let l = notExpr();
+    while (isWord(peek(), "AND")) { next(); l = `${l} and ${notExpr()}`; }
+    return l;
+  };
+  const notExpr = () => {
+    if (isWord(peek(), "NOT")) { next(); return `not (${notExpr()})`; }
+    return compareExpr();
+  };
+  const compareExpr = () => {
+    const l = addExpr();
+    if (peek()?.type === "op" && COMPARISONS[peek().value]) {
+      const op = COMPARISONS[next().value];
+      return `${l} ${op} ${addExpr()}`;
+    }
+    return l;
+  };
+  const addExpr = () => {
+    let l = mulExpr();
+    while (isOp(peek(), "+", "-")) {
+      const op = next().value;
+      l = `${l} ${op === "+" && textResult ? "||" : op} ${mulExpr()}`;
+    }
+    return l;
+  };
+  const mulExpr = () => {
+    let l = unary();
+    while (isOp(peek(), "*", "/", "%", "^")) l = `${l} ${next().value} ${unary()}`;
+    return l;
+  };
+  const unary = () => {
+    if (isOp(peek(), "-")) { next(); return `-${unary()}`; }
+    return primary();
+  };
+  const ifExpr = () => {
+    const cond = orExpr();
+    expect("THEN");
+    const then = orExpr();
+    if (isWord(peek(), "ELSEIF")) { next(); return `IF(${cond}, ${then}, ${ifExpr()})`; }
+    let otherwise = '""';
+    if (isWord(peek(), "ELSE")) { next(); otherwise = orExpr(); }
+    expect("END");
+    return `IF(${cond}, ${then}, ${otherwise})`;
+  };
+  const caseExpr = () => {
+    const subject = orExpr();
+    const branches = [];
+    while (isWord(peek(), "WHEN")) {
+      next();
+      const v = orExpr();
+      expect("THEN");
+      branches.push([v, orExpr()]);
+    }
+    let otherwise = '""';
+    if (isWord(peek(), "ELSE")) { next(); otherwise = orExpr(); }
+    expect("END");
+    return branches.reduceRight((acc, [v, r]) => `IF(${subject} == ${v}, ${r}, ${acc})`, otherwise);
+  };
+  const primary = () => {
+    const t = next();
+    if (!t) throw new Error("Unexpected end of formula");
+    if (t.type === "number") return t.value;
+    if (t.type === "string") return stringLiteral(t.value);
+    if (t.type === "field") return fieldRef(bracketName(t.value));
+    if (t.type === "date") throw new Error(`Date literal ${t.value} is not supported`);
+    if (isOp(t, "{")) throw new Error("Level of detail expressions are not supported");
+    if (isOp(t, "(")) { const inner = orExpr(); expect(")"); return `(${inner})`; }
+    if (t.type !== "ident") throw new Error(`Unexpected "${t.value}"`);
+    const word = t.value.toUpperCase();
+    if (word === "TRUE" || word === "FALSE") return word.toLowerCase();
+    if (word === "NULL") return '""';
+    if (word === "IF") return ifExpr();
+    if (word === "CASE") return caseExpr();
+    if (!isOp(peek(), "(")) throw new Error(`Unknown name ${t.value}`);
+    next();
+    const args = [];
+    if (!isOp(peek(), ")")) {
+      do args.push(orExpr()); while (isOp(peek(), ",") && next());
+    }
+    expect(")");
+    if (AGGREGATES.includes(word)) throw new Error(`Aggregate ${word} cannot run per row; define it as a measure`);
+    if (!FUNCTIONS[word]) throw new Error(`Function ${word} has no equivalent`);
+    return FUNCTIONS[word](args);
+  };
+
+  const out = orExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return out;
+}
+
+const childrenOf = (el, tag) => Array.from(el?.childNodes || []).filter((n) => n.nodeName === tag);
+const firstOf = (el, tag) => (el ? el.getElementsByTagName(tag)[0] : undefined);
+
+const TYPE_MAP = { real: "decimal", integer: "integer", string: "string", date: "date", datetime: "date", boolean: "boolean" };
+
+const SHELF_AGG = {
+  sum: "sum", avg: "avg", cnt: "count", ctd: "countDistinct", min: "min", max: "max", med: "median", stdev: "stdev", var: "var", usr: "sum",
+};
+
+const MARKS = { bar: "bar", line: "line", pie: "pie" };
+
+function datasourcesOf(doc) {
+  const root = doc.documentElement;
+  if (root.nodeName === "datasource") return [root];
+  return childrenOf(childrenOf(root, "datasources")[0], "datasource").filter((ds) => ds.getAttribute("name") !== "Parameters");
+}
+
+function datasourceFilter(f, fieldName) {
+  const col = fieldName(bracketName(f.getAttribute("column") || ""));
+  const cls = f.getAttribute("class");
+  if (cls === "categorical") {
+    const groups = Array.from(f.getElementsByTagName("groupfilter"));
+    const members = groups.filter((g) => g.getAttribute("function") === "member").map((g) => g.getAttribute("member"));
+    if (!members.length) throw new Error("Categorical filter without member list");
+    const tests = members.map((m) => (/^".*"$/.test(m) ? `${col} == ${JSON.stringify(m.slice(1, -1))}` : `N(${col}) == ${Number(m)}`));
+    const expr = tests.join(" or ");
+    return groups.some((g) => g.getAttribute("function") === "except") ? `not (${expr})` : expr;
+  }
+  if (cls === "quantitative") {
+    const min = firstOf(f, "min")?.textContent;
+    const max = firstOf(f, "max")?.textContent;
+    const bound = (v) => {
+      if (isNaN(Number(v))) throw new Error(`Range bound ${v} is not numeric`);
+      return Number(v);
+    };
+    const tests = [];
+    if (min !== undefined) tests.push(`N(${col}) >= ${bound(min)}`);
+    if (max !== undefined) tests.push(`N(${col}) <= ${bound(max)}`);
+    if (!tests.length) throw new Error("Range filter without bounds");
+    return tests.join(" and ");
+  }
+  throw new Error(`${cls || "Unknown"} filters are not supported`);
+}
+
+function worksheetChart(ws, fieldName) {
+  const table = firstOf(ws, "table");
+  const shelf = (tag) => [...(firstOf(table, tag)?.textContent || "").matchAll(/\[[^\]]+\]\.\[(\w*):(.+?):(\w+)\]/g)]
+    .map(([, deriv, name, role]) => ({ deriv, name: fieldName(name), measure: !!SHELF_AGG[deriv] || role === "qk" }));
+  const fields = [...shelf("cols"), ...shelf("rows")];
+  const measure = fields.find((f) => f.measure);
+  const dims = fields.filter((f) => !f.measure);
+  if (!measure || !dims.length) throw new Error("Needs one dimension and one measure on the rows or columns shelf");
+  const mark = (firstOf(table, "mark")?.getAttribute("class") || "").toLowerCase();
+  return {
+    type: MARKS[mark] || "bar",
+    x: dims[0].name,
+    y: measure.name,
+    series: dims[1]?.name || "",
+    agg: SHELF_AGG[measure.deriv] || "sum",
+  };
+}
+
+/**
+ * Files inside a packaged .twbx or .tdsx, which is a plain zip archive: the workbook
+ * or datasource XML plus its data files. Returns [{ path, content }] with content a
+ * Uint8Array; folder entries are left out.
+ */
+export function readTableauPackage(arrayBuffer) {
+  const files = unzipSync(new Uint8Array(arrayBuffer));
+  return Object.entries(files)
+    .filter(([path]) => !path.endsWith("/"))
+    .map(([path, content]) => ({ path, content }));
+}
+
+/**
+ * Parse a .twb or .tds document. Returns { schema, steps, charts, report } where report
+ * lists every calculated field, filter or worksheet that could not be translated.
+ */
+export function importTableauXML(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, "text/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Failed to parse Tableau XML.");
+  const schema = [];
+  const calcs = [];
+  const filters = [];
+  const steps = [];
+  const charts = [];
+  const report = [];
+  const seen = new Set();
+  const captions = new Map();
+
+  const addColumn = (name, type) => {
+    if (!name || seen.has(name)) return;
+    seen.add(name);
+    schema.push({ name, type: TYPE_MAP[type] || "string" });
+  };
+
+  const datasources = datasourcesOf(doc);
+  for (const ds of datasources) {
+    for (const c of childrenOf(ds, "column")) {
+      const name = bracketName(c.getAttribute("name") || "");
+      const calc = childrenOf(c, "calculation")[0];
+      if (calc) {
+        const label = c.getAttribute("caption") || name;
+        captions.set(name, label);
+        calcs.push({ name, label, formula: calc.getAttribute("formula"), cls: calc.getAttribute("class"), type: c.getAttribute("datatype") });
+      } else {
+        addColumn(name, c.getAttribute("datatype"));
+      }
+    }
+    for (const m of Array.from(ds.getElementsByTagName("metadata-record"))) {
+      if (m.getAttribute("class") !== "column") continue;
+      addColumn(bracketName(firstOf(m, "local-name")?.textContent || ""), firstOf(m, "local-type")?.textContent);
+    }
+  }
+
+  // plain columns keep their names, calculated fields are referred to by caption
+  const fieldName = (name) => captions.get(name) || name;
+  const reference = (name) => columnRef(fieldName(name));
+
+  // emit calculated fields once everything they reference is available
+  const pending = calcs.filter((c) => {
+    if (c.cls === "tableau" && c.formula) return true;
+    report.push({ item: `Calculated field ${c.label}`, reason: `${c.cls || "Unknown"} calculations are not supported` });
+    return false;
+  });
+  const done = new Set();
+  let progress = true;
+  while (pending.length && progress) {
+    progress = false;
+    for (let i = 0; i < pending.length; i++) {
+      const c = pending[i];
+      const waitsOn = [];
+      let expr;
+      try {
+        expr = translateTableauFormula(c.formula, (name) => {
+          if (captions.has(name) && !done.has(name)) waitsOn.push(name);
+          return reference(name);
+        }, { textResult: c.type === "string" });
+      } catch (e) {
+        report.push({ item: `Calculated field ${c.label}`, reason: e.message, source: c.formula });
+        pending.splice(i--, 1);
+        progress = true;
+        continue;
+      }
+      if (waitsOn.length) continue;
+      steps.push({ type: "mutate", as: c.label, expr });
+      done.add(c.name);
+      pending.splice(i--, 1);
+      progress = true;
+    }
+  }
+  for (const c of pending) report.push({ item: `Calculated field ${c.label}`, reason: "Depends on a field that could not be translated", source: c.formula });
+
+  for (const ds of datasources) {
+    for (const f of childrenOf(ds, "filter")) {
+      try {
+        filters.push({ type: "filter", expr: datasourceFilter(f, reference) });
+      } catch (e) {
+        report.push({ item: `Filter on ${bracketName(f.getAttribute("column") || "")}`, reason: e.message });
+      }
+    }
+  }
+
+  for (const ws of Array.from(doc.getElementsByTagName("worksheet"))) {
+    const name = ws.getAttribute("name");
+    try {
+      charts.push({ name, spec: worksheetChart(ws, fieldName) });
+    } catch (e) {
+      report.push({ item: `Worksheet ${name}`, reason: e.message });
+    }
+    if (firstOf(ws, "filter")) report.push({ item: `Worksheet ${name}`, reason: "Worksheet filters are not applied; only datasource filters become steps" });
+  }
+
+  // datasource filters apply before any calculation, as they do in Tableau
+  return { schema, steps: [...filters, ...steps], charts, report };
+}
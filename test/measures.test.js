@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateMeasure, createExcelParser, buildPivot, buildChartData } from "../src/engine.js";
+
+const rows = [
+  { region: "EU", country: "France", sales: 10, units: 2 },
+  { region: "eu", country: "Spain", sales: 20, units: 4 },
+  { region: "EUROPE", country: "Italy", sales: 5, units: 1 },
+  { region: "US", country: "", sales: 40, units: 8 },
+];
+const columns = Object.keys(rows[0]);
+
+test("measure criteria match the same rows as SUMIFS", () => {
+  for (const crit of ["=EU", "EU", "E*", "<>EU", ">10", "<=20", "", "<>"]) {
+    const col = crit.startsWith(">") || crit.startsWith("<=") ? "sales" : crit === "" || crit === "<>" ? "country" : "region";
+    const formula = createExcelParser(rows).parse(`SUMIFS("sales", ${JSON.stringify(col)}, ${JSON.stringify(crit)})`).evaluate(rows[0]);
+    const measure = evaluateMeasure(`SUM(sales, ${col}, ${JSON.stringify(crit)})`, rows, columns);
+    assert.equal(measure, formula, `criteria ${JSON.stringify(crit)}`);
+  }
+});
+
+test("a measure can use another measure over the same rows", () => {
+  const measures = [
+    { name: "Total", expr: "SUM(sales)" },
+    { name: "Per unit", expr: "Total / SUM(units)" },
+  ];
+  assert.equal(evaluateMeasure("[Per unit] * 2", rows, columns, measures), 10);
+  const pivot = buildPivot(rows, { rows: ["region"], cols: [], values: [{ field: "Per unit", agg: "measure" }] }, measures);
+  assert.deepEqual(pivot.rowTotals.map((t) => t[0]), [5, 5, 5, 5]);
+  assert.deepEqual(pivot.grandTotal, [5]);
+});
+
+test("a measure that uses itself fails instead of recursing", () => {
+  const measures = [
+    { name: "A", expr: "B + 1" },
+    { name: "B", expr: "A * 2" },
+  ];
+  assert.throws(() => evaluateMeasure("A", rows, columns, measures, []), /Circular measure reference: A -> B -> A/);
+  assert.throws(() => evaluateMeasure("B + 1", rows, columns, measures, ["A"]), /Circular measure reference: A -> B -> A/);
+  const pivot = buildPivot(rows, { rows: [], cols: [], values: [{ field: "A", agg: "measure" }] }, measures);
+  assert.deepEqual(pivot.grandTotal, ["#VALUE!"]);
+});
+
+test("a chart leaves out the groups of a failing measure and reports why", () => {
+  const measures = [{ name: "Bad", expr: "SUM(sales) / missing" }];
+  const { data, error } = buildChartData(rows, { x: "region", y: "Bad", agg: "measure" }, measures);
+  assert.equal(data.length, 4);
+  assert.ok(data.every((d) => d.Bad === null));
+  assert.match(error, /^Measure Bad: .*missing/);
+  assert.equal(buildChartData(rows, { x: "region", y: "Gone", agg: "measure" }, measures).error, "Measure Gone no longer exists");
+});
@@ -0,0 +1,31 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pipelineSteps } from "../src/engine.js";
+
+const run = (rows, pipeline, ctx = {}) => [...pipelineSteps(rows, pipeline, ctx)];
+
+test("a filter drops the rows its formula gives an error on and counts them", () => {
+  const rows = [{ a: 4, b: 2 }, { a: 1, b: 0 }, { a: 9, b: 3 }, { a: 5, b: 0 }];
+  const [{ rows: out, info }] = run(rows, [{ type: "filter", expr: "a / b > 2" }]);
+  assert.deepEqual(out, [{ a: 9, b: 3 }]);
+  assert.equal(info.error, undefined);
+  assert.deepEqual(info.errorRows, { count: 2, value: "#DIV/0!", row: 1, values: { a: 1, b: 0 } });
+  const [{ info: clean }] = run(rows, [{ type: "filter", expr: "IFERROR(a / b > 2, TRUE)" }]);
+  assert.equal(clean.errorRows, undefined);
+  assert.equal(clean.rowsOut, 3);
+});
+
+test("window running values treat rows tied on the order column as one", () => {
+  const rows = [{ d: 2, v: 5 }, { d: 1, v: 1 }, { d: 2, v: 3 }, { d: 3, v: 2 }];
+  const calcs = [{ fn: "runningSum", col: "v", as: "sum" }, { fn: "runningAvg", col: "v", as: "avg" }, { fn: "rank", col: "v", as: "rank" }];
+  const [{ rows: out }] = run(rows, [{ type: "window", orderBy: "d", calcs }]);
+  assert.deepEqual(out.map((r) => [r.sum, r.avg, r.rank]), [[9, 3, 2], [1, 1, 1], [9, 3, 2], [11, 2.75, 4]]);
+  const [{ rows: swapped }] = run([rows[2], rows[1], rows[0], rows[3]], [{ type: "window", orderBy: "d", calcs }]);
+  assert.deepEqual(swapped.map((r) => r.sum), [9, 1, 9, 11]);
+});
+
+test("window percent of total leaves blank values blank", () => {
+  const rows = [{ g: "a", v: 1 }, { g: "a", v: "" }, { g: "a", v: 3 }, { g: "b", v: null }];
+  const [{ rows: out }] = run(rows, [{ type: "window", partitionBy: ["g"], calcs: [{ fn: "percentOfTotal", col: "v", as: "pct" }] }]);
+  assert.deepEqual(out.map((r) => r.pct), [0.25, "", 0.75, ""]);
+});
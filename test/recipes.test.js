@@ -0,0 +1,15 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { remapSteps, validateRecipe } from "../src/recipes.js";
+
+test("remapping renames columns but not function names", () => {
+  const [step] = remapSteps([{ type: "mutate", as: "y", expr: "IF(x>1,x,0) + ROUND (x, 0)" }], { IF: "cond", ROUND: "r", x: "amt" });
+  assert.equal(step.expr, "IF(amt>1,amt,0) + ROUND (amt, 0)");
+});
+
+test("quoted column arguments are validated and remapped", () => {
+  const steps = [{ type: "filter", expr: 'SUMIFS("sales", "region", "EU") > x' }];
+  assert.deepEqual(validateRecipe(steps, ["x"]).map((i) => i.missing.sort()), [["region", "sales"]]);
+  const [step] = remapSteps(steps, { sales: "amount", region: "area", EU: "nope" });
+  assert.equal(step.expr, 'SUMIFS("amount", "area", "EU") > x');
+});
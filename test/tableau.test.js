@@ -0,0 +1,14 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { readTableauPackage } from "../src/tableau.js";
+
+test("a packaged workbook lists its workbook and data files", () => {
+  const buf = readFileSync(new URL("./fixtures/orders.twbx", import.meta.url));
+  const entries = readTableauPackage(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  assert.deepEqual(entries.map((e) => e.path), ["orders.twb", "Data/Extracts/orders.csv"]);
+  assert.ok(entries.every((e) => e.content instanceof Uint8Array));
+  const text = (path) => new TextDecoder().decode(entries.find((e) => e.path === path).content);
+  assert.match(text("orders.twb"), /<workbook /);
+  assert.equal(text("Data/Extracts/orders.csv"), "Region,Sales\nEast,120.5\nWest,80\n");
+});